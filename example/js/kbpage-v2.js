@@ -12,6 +12,8 @@ kbp = {
   _ready_wordlist: false,
   _ready_ngram: false,
   kb: null, // WebWorker
+  _decPasswords: null, // passcodes of the decryption running in the worker
+  _container: null, // file the worker decrypts: the one chosen, or its rekeyed version
 
   /**
    * Initialize Keybearer
@@ -52,7 +54,7 @@ kbp = {
   },
 
   /**
-   * Set up Web Worker for encryption
+   * Set up Web Worker for encryption and decryption
    */
   setupWorker: function() {
     // Use the bundled worker file
@@ -62,32 +64,66 @@ kbp = {
       const handler = e.data.f;
       const result = e.data.r;
 
+      if (e.data.e) {
+        // The worker reports failures as {name, message} instead of throwing
+        if (handler === 'decryptFile') {
+          kbp.decryptFailed(e.data.e);
+        } else {
+          alert('Error in ' + handler + ':\n' + e.data.e.message);
+        }
+        return;
+      }
+
       switch (handler) {
-        case 'setPlaintext':
+        case 'setPlaintextBlob':
+        case 'setPlaintextFiles':
           $('#encrypt').attr('class', 'btn').click(kbp.encrypt);
           break;
-        case 'encryptWithPasswords':
+        case 'encryptWithPasswordsStream':
           if (e.data.c) {
-            // Progress update
-            $('#ksprogressbar').width(e.data.c * 100 + '%');
-            $('#ksprogressbar').html(kbp.toPercent(e.data.c));
+            // Progress update: key strengthening, then payload segments
+            const bar = e.data.s === 'encrypt' ? $('#segprogressbar') : $('#ksprogressbar');
+            bar.width(e.data.c * 100 + '%');
+            bar.html(kbp.toPercent(e.data.c));
           } else if (e.data.r) {
             // Encryption complete
             $('#encprogress').delay(1000).fadeOut(400);
-            const blob = new Blob([e.data.r], { type: 'application/json' });
+            const blob = e.data.r;
             const link = document.createElement('a');
             link.href = window.URL.createObjectURL(blob);
-            link.download = keybearer.getFileName() + '.kbr.json';
+            // Hidden metadata would be given away by the download name
+            const hidden = $('#file_metadata > .active').val() === 'hidden';
+            link.download = (hidden ? keybearer.hidden_filename : keybearer.getFileName()) +
+              kbp.containerExtension();
             link.innerHTML = 'Download encrypted ' + link.download;
             window.URL.revokeObjectURL($('#encdownloadlink > a').attr('href'));
             $('#encdownloadlink').empty().append(link);
           }
           break;
+        case 'decryptFile':
+          if (e.data.c !== undefined) {
+            // Progress update: key strengthening, then payload segments
+            const bar = e.data.s === 'decrypt' ? $('#decsegprogressbar') : $('#decksprogressbar');
+            bar.width(e.data.c * 100 + '%');
+            bar.html(kbp.toPercent(e.data.c));
+          } else if (result) {
+            kbp.decrypted(result);
+          }
+          break;
       }
     };
 
     // Initialize salt in worker
     kbp.kb.postMessage({ f: 'makeSalt' });
+    // Spread key derivation over one worker per core
+    kbp.kb.postMessage({ f: 'useKeyPool' });
+    // The worker needs the wordlist to recognize passcodes with checksum words
+    kbp.kb.postMessage({ f: 'setWordlist', p: [keybearer.getWordlist()] });
+    // v1 files are decrypted in the worker too, with the page's copy of SJCL
+    const sjclURL = $('script[src$="sjcl.js"]').prop('src');
+    if (sjclURL) {
+      kbp.kb.postMessage({ f: 'useLegacy', p: [sjclURL] });
+    }
   },
 
   /**
@@ -98,9 +134,18 @@ kbp = {
     $('#num_pass > .btn').click(kbp.checkUnlockPass);
     $('#num_pass > .btn').click(kbp.updateKeygenCount);
     $('#pbkdf2iterations > .btn').click(kbp.updatePBKDF2Iterations);
+    $('#kdf > .btn').click(kbp.updateKDF);
+    $('#cipher_mode > .btn').click(kbp.updateCipherMode);
+    $('#container_format > .btn').click(kbp.updateContainerFormat);
+    $('#file_metadata > .btn').click(kbp.updateFileMetadata);
+    $('#padding > .btn').click(kbp.updatePadding);
+    $('#compression > .btn').click(kbp.updateCompression);
+    $('#passcode_verifiers > .btn').click(kbp.updatePasscodeVerifiers);
     $('#num_unlock_pass > .btn').click(kbp.updateKeygenCount);
     $('#pass_len > .btn').click(kbp.generateAllFriendPass);
+    $('#checksum_words > .btn').click(kbp.updateChecksumWords);
     $('#secretfile').change(kbp.choosePlaintextFile);
+    $('#secretfolder').change(kbp.choosePlaintextFile);
     $('#decfile').change(kbp.chooseEncryptedFile);
     $('#num_pass > .active').click();
     $('#pbkdf2iterations > .active').click();
@@ -141,18 +186,22 @@ kbp = {
   generateAllDecPass: function(n, m) {
     const da = $('#decpass_area');
     da.empty();
+    const pol = keybearer.getPolicy();
     da.append([
       '<div class="alert alert-info">',
       'Enter up to',
       n,
-      'passcodes, including spaces. Only',
-      m,
-      'passcodes are necessary.',
+      'passcodes, including spaces.',
+      pol ?
+        'This file needs ' + kbp.describePolicy(pol) + '.' :
+        'Only ' + m + ' passcodes are necessary.',
       '</div>'
     ].join(' '));
     for (let i = 0; i < n; i++) {
       da.append(kbp.mkDecPass(i));
     }
+    da.append('<div id="dectypos"></div>');
+    da.append('<div id="decpolicystatus"></div>');
   },
 
   /**
@@ -193,35 +242,93 @@ kbp = {
   },
 
   /**
-   * Get M passwords from decryption form
+   * Get every entered decryption passcode, by field
    */
-  getMDecPass: function(n, m) {
-    let passwords = [];
+  getDecPass: function(n) {
+    const passwords = [];
     for (let i = 0; i < n; i++) {
       $('#label' + i).attr('class', 'add-on');
-      const s = keybearer.normalizeString($('#decpass' + i).val());
-      if (s.length > 0) passwords.push(s);
+      passwords.push(keybearer.normalizeString($('#decpass' + i).val()));
     }
+    return passwords;
+  },
 
-    if (passwords.length < m) {
-      alert('You must enter at least ' + m + ' passcodes to decrypt this message.');
-      return passwords;
+  /**
+   * Highlight the fields that unlocked the file, or the ones that cannot
+   */
+  markDecPass: function(result, passwords) {
+    for (let i = 0; i < result.used.length; i++) {
+      $('#label' + result.used[i]).addClass('btn-info');
+    }
+    for (let i = 0; i < result.rejected.length; i++) {
+      $('#label' + result.rejected[i]).addClass('btn-danger');
+    }
+    for (let i = 0; i < result.mistyped.length; i++) {
+      $('#label' + result.mistyped[i]).removeClass('btn-danger').addClass('btn-warning');
     }
+    kbp.showTypos(result.mistyped, passwords);
+    kbp.showPolicyStatus(result);
+  },
 
-    keybearer.shuffle(passwords);
-    passwords = passwords.slice(0, m);
-    passwords.sort();
+  /**
+   * Point out the mistyped word of each passcode that failed its checksum
+   */
+  showTypos: function(mistyped, passwords) {
+    const typos = $('#dectypos');
+    typos.empty();
+    mistyped.forEach(function(field) {
+      const words = passwords[field].split(' ');
+      const report = keybearer.checkPasscodeChecksum(passwords[field]);
+      let hint;
+      if (report.unknown.length) {
+        hint = report.unknown.map(function(i) { return '"' + words[i] + '"'; }).join(', ') + ' not in the wordlist';
+      } else {
+        hint = 'a word is misspelled';
+      }
+      if (report.suggestions.length) {
+        hint += '; did you mean ' + report.suggestions.map(function(s) {
+          return s.words.map(function(w) { return '"' + w + '"'; }).join(' or ') + ' for "' + words[s.index] + '"';
+        }).join(', ') + '?';
+      }
+      typos.append($('<div class="alert"></div>').text('Passcode ' + (field + 1) + ': ' + hint));
+    });
+  },
 
-    // Highlight winning keys
-    for (let i = 0; i < n; i++) {
-      const str = keybearer.normalizeString($('#decpass' + i).val());
-      for (let j = 0; j < m; j++) {
-        if (str == passwords[j]) {
-          $('#label' + i).addClass('btn-info');
-        }
+  /**
+   * Describe an access policy gate, e.g. "2 of [family: 2 of [3 passcodes], ...]"
+   */
+  describePolicy: function(gate) {
+    const parts = [];
+    let plain = 0;
+    gate.m.forEach(function(member) {
+      const weight = member.w > 1 ? ' (weight ' + member.w + ')' : '';
+      if (member.m) {
+        parts.push($('<div>').text(member.n).html() + weight + ': ' + kbp.describePolicy(member));
+      } else if (weight) {
+        parts.push('1 passcode' + weight);
+      } else {
+        plain++;
       }
-    }
-    return passwords;
+    });
+    if (plain) parts.push(plain + (plain === 1 ? ' passcode' : ' passcodes'));
+    return gate.t + ' of [' + parts.join(', ') + ']';
+  },
+
+  /**
+   * Explain which groups of an access policy are still missing passcodes
+   */
+  showPolicyStatus: function(result) {
+    const status = $('#decpolicystatus');
+    status.empty();
+    if (result.success || !result.groups) return;
+
+    const missing = result.groups.filter(function(group) { return !group.open; });
+    const items = missing.map(function(group) {
+      const name = group.name ? $('<div>').text(group.name).html() : 'Overall';
+      return '<li>' + name + ': ' + group.have + ' of ' + group.need + ' needed</li>';
+    });
+    status.append('<div class="alert alert-error">Still missing passcodes from:<ul>' +
+      items.join('') + '</ul></div>');
   },
 
   /**
@@ -242,8 +349,9 @@ kbp = {
     }
 
     $('#encprogress').animate({ opacity: 1, display: 'toggle' });
+    $('#segprogressbar').width('0%').html('');
     kbp.kb.postMessage({
-      f: 'encryptWithPasswords',
+      f: 'encryptWithPasswordsStream',
       p: [passwords, kbp.getNumUnlock()],
       c: true
     });
@@ -261,7 +369,8 @@ kbp = {
       n = kbp.getNumPass();
       m = evt.target.value;
     }
-    $('#nkeys_to_gen').text(kbp.nChooseK(n, m));
+    // Shamir mode derives one key per holder rather than one per combination
+    $('#nkeys_to_gen').text(keybearer.key_scheme === 'shamir' ? n : kbp.nChooseK(n, m));
   },
 
   /**
@@ -271,6 +380,70 @@ kbp = {
     kbp.kb.postMessage({ f: 'setPBKDF2Iterations', p: [evt.target.value] });
   },
 
+  /**
+   * Update key derivation function
+   */
+  updateKDF: function(evt) {
+    kbp.kb.postMessage({ f: 'setKDF', p: [evt.target.value] });
+  },
+
+  /**
+   * Update payload and key slot cipher
+   */
+  updateCipherMode: function(evt) {
+    kbp.kb.postMessage({ f: 'setCipherMode', p: [evt.target.value] });
+  },
+
+  /**
+   * Update container format (.kbr.json or binary .kbr)
+   */
+  updateContainerFormat: function(evt) {
+    kbp.kb.postMessage({ f: 'setContainerFormat', p: [evt.target.value] });
+  },
+
+  /**
+   * Show the file name and type in the container header, or encrypt them
+   */
+  updateFileMetadata: function(evt) {
+    kbp.kb.postMessage({ f: 'setEncryptMetadata', p: [evt.target.value === 'hidden'] });
+  },
+
+  /**
+   * End generated passcodes with a checksum word, or not, and regenerate them
+   */
+  updateChecksumWords: function(evt) {
+    keybearer.checksum_words = evt.target.value === 'yes';
+    $('#pass_len > .active').click();
+  },
+
+  /**
+   * Update length-hiding padding scheme
+   */
+  updatePadding: function(evt) {
+    kbp.kb.postMessage({ f: 'setPadding', p: [evt.target.value] });
+  },
+
+  /**
+   * Store passcode verifiers for "Check my passcode", or not
+   */
+  updatePasscodeVerifiers: function(evt) {
+    kbp.kb.postMessage({ f: 'setPasscodeVerifiers', p: [evt.target.value === 'yes'] });
+  },
+
+  /**
+   * Update compression format
+   */
+  updateCompression: function(evt) {
+    kbp.kb.postMessage({ f: 'setCompression', p: [evt.target.value] });
+  },
+
+  /**
+   * File extension for the selected container format
+   */
+  containerExtension: function() {
+    return $('#container_format > .active').val() === 'binary' ? '.kbr' : '.kbr.json';
+  },
+
   // Friend password form template
   ffTemplate: [
     '<form class="pass form-inline input-prepend input-append">',
@@ -321,26 +494,47 @@ kbp = {
 
   /**
    * Handle file selection for encryption
+   *
+   * The File itself is handed to the worker, which reads it as a stream, so
+   * large files are never loaded into memory in one piece.
    */
   choosePlaintextFile: function(evt) {
-    $('#secretfilename').text($('#secretfile').val() || 'No file selected');
-    const file = evt.target.files[0];
-    if (!file) return;
+    const files = Array.prototype.slice.call(evt.target.files);
+    const file = files[0];
+    if (!file) {
+      $('#secretfilename').text('No file selected');
+      return;
+    }
 
     $('#decfilename').html('No file selected');
     $('#decrypt').unbind('click').addClass('disabled');
+    $('#encrypt').unbind('click').addClass('disabled');
 
-    const reader = new FileReader();
-    reader.onload = function(evt) {
-      keybearer.setFileName(file.name);
-      keybearer.setFileType(file.type);
+    // Several files or a folder are encrypted together as one bundle
+    if (files.length > 1 || file.webkitRelativePath) {
+      const name = file.webkitRelativePath ? file.webkitRelativePath.split('/')[0] : 'bundle';
+      $('#secretfilename').text(name + ' (' + files.length + ' files)');
+      keybearer.setFileName(name);
+      keybearer.setFileType('');
+      keybearer.setPlaintext([]);
+      // webkitRelativePath does not survive postMessage, so send paths along
       kbp.kb.postMessage({
-        f: 'setPlaintext',
-        p: [evt.target.result, file.name, file.type]
+        f: 'setPlaintextFiles',
+        p: [files.map(function(f) {
+          return { path: f.webkitRelativePath || f.name, data: f };
+        }), name]
       });
-    };
+      return;
+    }
+
+    $('#secretfilename').text(file.name);
+    keybearer.setFileName(file.name);
+    keybearer.setFileType(file.type);
     keybearer.setPlaintext([]);
-    reader.readAsArrayBuffer(file);
+    kbp.kb.postMessage({
+      f: 'setPlaintextBlob',
+      p: [file, file.name, file.type]
+    });
   },
 
   /**
@@ -354,21 +548,22 @@ kbp = {
     $('#secretfilename').html('No file selected');
     $('#encrypt').unbind('click').addClass('disabled');
 
-    const reader = new FileReader();
-    reader.onload = function(evt) {
-      try {
-        keybearer.setCipherJSON(evt.target.result);
-        const n = keybearer.getNPasswords();
-        const m = keybearer.getNumToUnlock();
-        kbp.generateAllDecPass(n, m);
-        $('#decrypt').attr('class', 'btn').click(kbp.decrypt);
-      } catch (err) {
-        alert('Error loading keybearer file:\n' + err);
-        $('#decfileprogress').text('Error');
-        throw err;
-      }
-    };
-    reader.readAsBinaryString(file);
+    // Either container format; binary payloads stay in the File until decryption
+    keybearer.setCipherBlob(file).then(function() {
+      kbp._container = file;
+      const n = keybearer.getNPasswords();
+      const m = keybearer.getNumToUnlock();
+      kbp.generateAllDecPass(n, m);
+      $('#decrypt').attr('class', 'btn').click(kbp.decrypt);
+      $('#rehearse').attr('class', 'btn').unbind('click').click(kbp.rehearse);
+      $('#rekey').attr('class', 'btn').unbind('click').click(kbp.rekey);
+      $('#checkpass').attr('class', 'btn').unbind('click').click(kbp.checkPasscode);
+      $('#checkpassresult').empty();
+    }).catch(function(err) {
+      alert('Error loading keybearer file:\n' + err);
+      $('#decfileprogress').text('Error');
+      throw err;
+    });
   },
 
   /**
@@ -382,33 +577,244 @@ kbp = {
 
     try {
       const n = keybearer.getNPasswordsDecrypt();
-      const m = keybearer.getNumToUnlock();
-      const passwords = kbp.getMDecPass(n, m);
-
-      keybearer.makeKeyCombinations(passwords, m);
-      const gotKey = keybearer.decryptKeys();
-      if (!gotKey) {
-        alert('Could not decode key, check the passcodes');
+      const m = keybearer.getMinPasscodes();
+      const passwords = kbp.getDecPass(n);
+      const entered = passwords.filter(function(p) { return p.length > 0; });
+      if (entered.length < m) {
+        alert('You must enter at least ' + m + ' passcodes to decrypt this message.');
         return;
       }
 
-      keybearer.decryptCiphertext();
-      const blob = new Blob([keybearer.getPlaintext()], {
-        type: keybearer.getFileType()
+      // Every k-subset of the entered passcodes is tried, so extra ones are fine;
+      // tiered files give every tier these passcodes qualify for
+      kbp._decPasswords = passwords;
+      $('#decrypt').unbind('click').addClass('disabled');
+      $('#decprogress').animate({ opacity: 1, display: 'toggle' });
+      $('#decksprogressbar').width('0%').html('');
+      $('#decsegprogressbar').width('0%').html('');
+      kbp.kb.postMessage({
+        f: 'decryptFile',
+        p: [kbp._container, passwords],
+        c: true
       });
-      const link = document.createElement('a');
-      window.URL = window.URL || window.webkitURL;
-      link.href = window.URL.createObjectURL(blob);
-      link.download = keybearer.getFileName();
-      link.innerHTML = 'Download decrypted ' + link.download;
-      window.URL.revokeObjectURL($('#decdownloadlink > a').attr('href'));
-      $('#decdownloadlink').empty().append(link);
     } catch (err) {
       alert('Error decrypting keybearer file:\n' + err);
       throw err;
     }
   },
 
+  /**
+   * Offer the plaintext the worker decrypted
+   *
+   * @param {Object} result - keybearer.decrypt() result with the plaintext in
+   *   blob, or {tiers} for tiered files
+   */
+  decrypted: function(result) {
+    $('#decprogress').delay(1000).fadeOut(400);
+    $('#decrypt').attr('class', 'btn').click(kbp.decrypt);
+    if (result.tiers) {
+      kbp.showTiers(result.tiers);
+      return;
+    }
+    kbp.markDecPass(result, kbp._decPasswords);
+    const blob = new Blob([result.blob], { type: result.ft || '' });
+    // Hidden metadata is only known once the worker has decrypted it
+    keybearer.setFileName(result.fn);
+    keybearer.setFileType(result.ft);
+    if (keybearer.isBundle()) {
+      keybearer.openBundle(blob).then(kbp.showBundle).catch(function(err) {
+        alert('Error reading bundle:\n' + err);
+      });
+      return;
+    }
+    const link = document.createElement('a');
+    window.URL = window.URL || window.webkitURL;
+    link.href = window.URL.createObjectURL(blob);
+    link.download = result.fn;
+    link.innerHTML = 'Download decrypted ' + link.download;
+    window.URL.revokeObjectURL($('#decdownloadlink > a').attr('href'));
+    $('#decdownloadlink').empty().append(link);
+  },
+
+  /**
+   * Report a decryption the worker could not complete
+   *
+   * @param {Object} err - {name, message, result}; result is set for wrong passcodes
+   */
+  decryptFailed: function(err) {
+    $('#decprogress').hide();
+    $('#decrypt').attr('class', 'btn').click(kbp.decrypt);
+    if (err.name !== 'PasscodeError') {
+      alert('Error decrypting keybearer file:\n' + err.message);
+      return;
+    }
+    kbp.markDecPass(err.result, kbp._decPasswords);
+    alert(err.result.mistyped.length ?
+      'Could not decode key, the passcodes marked in yellow are mistyped (see the hints below)' :
+      'Could not decode key, check the passcodes marked in red');
+  },
+
+  /**
+   * Offer each unlocked tier for download and say what the others need
+   */
+  showTiers: function(results) {
+    const list = $('<ul class="unstyled"></ul>');
+    results.forEach(function(result) {
+      const item = $('<li></li>');
+      if (result.unlocked) {
+        const link = document.createElement('a');
+        link.href = window.URL.createObjectURL(result.blob);
+        link.download = result.fn;
+        link.innerHTML = 'Download ' + result.fn + ' (' + result.nunlock + ' passcodes)';
+        item.append(link);
+      } else {
+        item.text('Locked: needs ' + result.nunlock + ' passcodes');
+      }
+      list.append(item);
+    });
+    $('#decdownloadlink > ul a').each(function() {
+      window.URL.revokeObjectURL($(this).attr('href'));
+    });
+    $('#decdownloadlink').empty().append(list);
+    if (!results.some(function(result) { return result.unlocked; })) {
+      alert('Could not decode key, check the passcodes');
+    }
+  },
+
+  /**
+   * List the files of a decrypted bundle, each extracted on request
+   */
+  showBundle: function(files) {
+    const list = $('<ul class="unstyled"></ul>');
+    files.forEach(function(file) {
+      const link = $('<a href="#"></a>').text(file.path + ' (' + file.size + ' bytes)');
+      link.click(function(evt) {
+        evt.preventDefault();
+        kbp.extractBundleFile(file.path);
+      });
+      list.append($('<li></li>').append(link));
+    });
+    $('#decdownloadlink').empty()
+      .append($('<p></p>').text(keybearer.getFileName() + ': ' + files.length + ' files'))
+      .append(list);
+  },
+
+  /**
+   * Extract and download one file from the decrypted bundle
+   */
+  extractBundleFile: function(path) {
+    keybearer.extractBundleFile(path).then(function(blob) {
+      const link = document.createElement('a');
+      link.href = window.URL.createObjectURL(blob);
+      link.download = path.split('/').pop();
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function() { window.URL.revokeObjectURL(link.href); }, 1000);
+    }).catch(function(err) {
+      alert('Error extracting ' + path + ':\n' + err);
+    });
+  },
+
+  /**
+   * Drill: prove the entered passcodes open the file, without offering the plaintext
+   */
+  rehearse: function() {
+    if (!keybearer.isCipherObjectReady()) {
+      alert('You must load a file before rehearsing!');
+      return;
+    }
+    const passwords = kbp.getDecPass(keybearer.getNPasswordsDecrypt());
+    window.URL.revokeObjectURL($('#decdownloadlink > a').attr('href'));
+    $('#decdownloadlink').empty();
+    keybearer.rehearse(passwords).then(function(result) {
+      kbp.markDecPass(result, passwords);
+      const report = $('<div class="alert"></div>');
+      if (result.success) {
+        report.addClass('alert-success').text('Rehearsal passed: these passcodes open ' +
+          result.fn + ' (' + result.size + ' bytes). Nothing was decrypted for download.');
+      } else if (result.error) {
+        report.addClass('alert-error').text('Rehearsal failed: the passcodes are right but the file is damaged (' +
+          result.error.message + ').');
+      } else {
+        report.addClass('alert-error').text('Rehearsal failed: these passcodes do not open the file.');
+      }
+      $('#decdownloadlink').append(report);
+    }).catch(function(err) {
+      alert('Error rehearsing keybearer file:\n' + err.message);
+    });
+  },
+
+  /**
+   * Check a single holder's passcode against the loaded file
+   */
+  checkPasscode: function() {
+    const result = $('#checkpassresult');
+    const passcode = keybearer.normalizeString($('#check_pass').val());
+    if (!passcode) {
+      alert('Enter your passcode first.');
+      return;
+    }
+    try {
+      if (keybearer.verifyPasscode(null, passcode)) {
+        result.html('<div class="alert alert-success">This passcode belongs to the file.</div>');
+      } else {
+        result.html('<div class="alert alert-error">This passcode does not belong to the file.</div>');
+      }
+    } catch (err) {
+      result.empty().append($('<div class="alert"></div>').text(err.message));
+    }
+  },
+
+  /**
+   * Replace the keyholders of the loaded file, keeping its payload
+   */
+  rekey: function() {
+    if (!keybearer.isCipherObjectReady()) {
+      alert('You must load a file before changing its keyholders!');
+      return;
+    }
+
+    const newPasswords = $('#rekey_pass').val().split('\n').map(keybearer.normalizeString)
+      .filter(function(p) { return p.length > 0; });
+    const m = parseInt($('#rekey_unlock').val(), 10);
+    if (!(m >= 1 && m <= newPasswords.length)) {
+      alert('Passcodes needed to unlock must be between 1 and the number of new passcodes.');
+      return;
+    }
+
+    try {
+      const passwords = kbp.getDecPass(keybearer.getNPasswordsDecrypt());
+      const result = keybearer.rekey(passwords, newPasswords, m);
+      kbp.markDecPass(result, passwords);
+      if (!result.success) {
+        alert(result.mistyped.length ?
+          'Could not decode key, the passcodes marked in yellow are mistyped (see the hints below)' :
+          'Could not decode key, check the passcodes marked in red');
+        return;
+      }
+    } catch (err) {
+      alert('Error changing keyholders:\n' + err.message);
+      return;
+    }
+
+    const original = $('#decfile')[0].files[0];
+    keybearer.getCipherBlob().then(function(blob) {
+      const link = document.createElement('a');
+      window.URL = window.URL || window.webkitURL;
+      link.href = window.URL.createObjectURL(blob);
+      link.download = original ? original.name : 'rekeyed' + kbp.containerExtension();
+      link.innerHTML = 'Download rekeyed ' + link.download;
+      window.URL.revokeObjectURL($('#rekeydownloadlink > a').attr('href'));
+      $('#rekeydownloadlink').empty().append(link);
+      // The loaded file now opens with the new passcodes, in the worker too
+      kbp._container = blob;
+      kbp.generateAllDecPass(keybearer.getNPasswordsDecrypt(), keybearer.getNumToUnlock());
+    }).catch(function(err) {
+      alert('Error writing keybearer file:\n' + err);
+    });
+  },
+
   /**
    * Convert fraction to percentage
    */
@@ -0,0 +1,174 @@
+/**
+ * kb-bundle.js - Multi-file bundles inside one encrypted payload
+ *
+ * Several files (e.g. a folder) are encrypted as a single bundle:
+ *
+ *   mlen       4 bytes   manifest length, unsigned big-endian
+ *   manifest   mlen      UTF-8 JSON {files: [{path, size, type, mtime, sha256}]}
+ *   files      rest      file contents, concatenated in manifest order
+ *
+ * sha256 is the hex SHA-256 digest of each file, checked when it is extracted.
+ * The container's file type is BUNDLE_TYPE, so with hidden metadata not even
+ * the fact that it is a bundle shows in the cleartext header.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+import { BundleIntegrityError } from './kb-errors.js';
+import { toByteStream } from './kb-stream.js';
+
+export const BUNDLE_TYPE = 'application/vnd.keybearer.bundle';
+export const LENGTH_BYTES = 4;
+
+/**
+ * Check a relative path: no empty, '.' or '..' segments and no leading slash
+ */
+export function checkPath(path) {
+  if (typeof path !== 'string' || path.length === 0) {
+    throw new Error('Bundle paths must be non-empty strings');
+  }
+  const parts = path.split('/');
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] === '' || parts[i] === '.' || parts[i] === '..' || parts[i].indexOf('\\') !== -1) {
+      throw new Error('Invalid bundle path: ' + path);
+    }
+  }
+  return path;
+}
+
+/**
+ * Hex SHA-256 digest of a Blob or Uint8Array, read as a stream
+ *
+ * @returns {Promise<string>}
+ */
+export function hashFile(data) {
+  const hash = sha256.create();
+  const reader = toByteStream(data).getReader();
+  const pump = function() {
+    return reader.read().then(function(result) {
+      if (result.done) return bytesToHex(hash.digest());
+      hash.update(result.value);
+      return pump();
+    });
+  };
+  return pump();
+}
+
+/**
+ * Build the manifest for a list of files
+ *
+ * @param {Array<Object>} files - {path, data: Blob|Uint8Array, type, mtime};
+ *   type and mtime default to those of a File
+ * @returns {Promise<Object>} - {files: [{path, size, type, mtime, sha256}]}
+ */
+export function makeManifest(files) {
+  const seen = {};
+  files.forEach(function(file) {
+    checkPath(file.path);
+    if (seen[file.path]) {
+      throw new Error('Duplicate bundle path: ' + file.path);
+    }
+    seen[file.path] = true;
+  });
+  // One file at a time, so only one file's chunks are being read at once
+  const entries = [];
+  const next = function() {
+    if (entries.length === files.length) {
+      return { files: entries };
+    }
+    const file = files[entries.length];
+    return hashFile(file.data).then(function(digest) {
+      entries.push({
+        path: file.path,
+        size: file.data.size !== undefined ? file.data.size : file.data.length,
+        type: file.type || file.data.type || '',
+        mtime: file.mtime || file.data.lastModified || null,
+        sha256: digest
+      });
+      return next();
+    });
+  };
+  return Promise.resolve().then(next);
+}
+
+/**
+ * Encode the manifest that precedes the file contents
+ *
+ * @returns {Uint8Array}
+ */
+export function encodeManifest(manifest) {
+  const json = new TextEncoder().encode(JSON.stringify(manifest));
+  const out = new Uint8Array(LENGTH_BYTES + json.length);
+  new DataView(out.buffer).setUint32(0, json.length, false);
+  out.set(json, LENGTH_BYTES);
+  return out;
+}
+
+/**
+ * The whole bundle as a Blob (file contents are not copied until read)
+ *
+ * @param {Array<Object>} files - As for makeManifest()
+ * @returns {Promise<Blob>}
+ */
+export function makeBundle(files) {
+  return makeManifest(files).then(function(manifest) {
+    const parts = [encodeManifest(manifest)].concat(files.map(function(file) { return file.data; }));
+    return new Blob(parts, { type: BUNDLE_TYPE });
+  });
+}
+
+/**
+ * Read the manifest of a decrypted bundle
+ *
+ * @param {Blob} blob - Decrypted payload
+ * @returns {Promise<Array<Object>>} - Manifest entries, each with the offset of
+ *   its contents in the bundle
+ */
+export function readBundle(blob) {
+  const readBytes = function(start, end) {
+    return blob.slice(start, end).arrayBuffer().then(function(buffer) {
+      return new Uint8Array(buffer);
+    });
+  };
+  return readBytes(0, LENGTH_BYTES).then(function(prefix) {
+    if (prefix.length < LENGTH_BYTES) {
+      throw new Error('Bundle ends inside its manifest');
+    }
+    const length = new DataView(prefix.buffer).getUint32(0, false);
+    return readBytes(LENGTH_BYTES, LENGTH_BYTES + length).then(function(json) {
+      if (json.length < length) {
+        throw new Error('Bundle ends inside its manifest');
+      }
+      const manifest = JSON.parse(new TextDecoder().decode(json));
+      let offset = LENGTH_BYTES + length;
+      const entries = manifest.files.map(function(entry) {
+        checkPath(entry.path);
+        const located = Object.assign({}, entry, { offset: offset });
+        offset += entry.size;
+        return located;
+      });
+      if (offset !== blob.size) {
+        throw new Error('Bundle size does not match its manifest');
+      }
+      return entries;
+    });
+  });
+}
+
+/**
+ * Extract one file from a bundle, checking its digest
+ *
+ * @param {Blob} blob - Decrypted payload
+ * @param {Object} entry - Manifest entry from readBundle()
+ * @returns {Promise<Blob>} - File contents, typed with the stored type
+ * @throws {BundleIntegrityError} - If the contents do not match the digest
+ */
+export function extractFile(blob, entry) {
+  const file = blob.slice(entry.offset, entry.offset + entry.size, entry.type || '');
+  return hashFile(file).then(function(digest) {
+    if (digest !== entry.sha256) {
+      throw new BundleIntegrityError(entry.path);
+    }
+    return file;
+  });
+}
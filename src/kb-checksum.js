@@ -0,0 +1,145 @@
+/**
+ * kb-checksum.js - Checksum words for generated passcodes
+ *
+ * A generated passcode can end in a checksum word picked from the wordlist by
+ * a hash of the words before it (as in BIP39). Each passcode can then be
+ * checked on its own, before any key derivation, and a mistyped word located.
+ * The checksum depends on the passcode only, so checking it reveals nothing
+ * about the keys or the file; it does depend on the wordlist, so passcodes
+ * must be checked against the list they were generated from.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+
+const LABEL = 'keybearer passcode checksum';
+const MAX_DISTANCE = 2; // edits between a mistyped word and its suggestions
+
+const prepared = new WeakMap();
+
+/**
+ * Wordlist without blank entries or stray whitespace (e.g. CRLF line ends), with a lookup set
+ */
+function prepare(wordlist) {
+  let entry = prepared.get(wordlist);
+  if (!entry) {
+    const words = wordlist.map(function(w) { return w.trim(); }).filter(function(w) { return w.length > 0; });
+    entry = { words: words, set: new Set(words) };
+    prepared.set(wordlist, entry);
+  }
+  return entry;
+}
+
+function splitWords(passcode) {
+  return passcode.replace(/\s+/g, ' ').trim().split(' ').filter(function(w) { return w.length > 0; });
+}
+
+/**
+ * Checksum word for a list of words
+ *
+ * @param {Array<string>} words - Passcode words, without the checksum
+ * @param {Array<string>} wordlist
+ * @returns {string}
+ */
+export function checksumWord(words, wordlist) {
+  const list = prepare(wordlist).words;
+  if (list.length === 0) {
+    throw new Error('Checksum words need a wordlist');
+  }
+  const digest = sha256(new TextEncoder().encode(LABEL + '\n' + words.join(' ')));
+  const n = new DataView(digest.buffer, digest.byteOffset, 4).getUint32(0, false);
+  return list[n % list.length];
+}
+
+/**
+ * Append the checksum word to a passcode
+ */
+export function appendChecksum(passcode, wordlist) {
+  const words = splitWords(passcode);
+  return words.concat([checksumWord(words, wordlist)]).join(' ');
+}
+
+/**
+ * Whether a passcode ends in the right checksum word
+ */
+export function hasValidChecksum(passcode, wordlist) {
+  const words = splitWords(passcode);
+  if (words.length < 2 || prepare(wordlist).words.length === 0) return false;
+  return words[words.length - 1] === checksumWord(words.slice(0, -1), wordlist);
+}
+
+/**
+ * Restricted Damerau-Levenshtein distance, or limit + 1 once it exceeds limit
+ */
+export function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prev2 = null;
+  let prev = [];
+  for (let j = 0; j <= b.length; j++) prev.push(j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > limit) return limit + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return Math.min(prev[b.length], limit + 1);
+}
+
+/**
+ * Check a passcode's checksum and locate a mistyped word
+ *
+ * Words missing from the wordlist are reported as unknown. Where a single
+ * word is wrong, replacements within a couple of typos that make the checksum
+ * valid are suggested for it.
+ *
+ * @param {string} passcode
+ * @param {Array<string>} wordlist
+ * @returns {Object} - {valid, unknown: word indices not in the wordlist,
+ *   suggestions: [{index, words}] of replacements that fix the checksum}
+ */
+export function locateTypos(passcode, wordlist) {
+  const words = splitWords(passcode);
+  const result = { valid: hasValidChecksum(passcode, wordlist), unknown: [], suggestions: [] };
+  if (result.valid || words.length < 2) return result;
+
+  const entry = prepare(wordlist);
+  words.forEach(function(word, i) {
+    if (!entry.set.has(word)) result.unknown.push(i);
+  });
+  // More than one unknown word cannot be fixed by replacing one
+  if (result.unknown.length > 1) return result;
+
+  const positions = result.unknown.length ? result.unknown : words.map(function(w, i) { return i; });
+  const last = words.length - 1;
+  positions.forEach(function(i) {
+    const near = function(candidate) {
+      return editDistance(words[i], candidate, MAX_DISTANCE) <= MAX_DISTANCE;
+    };
+    let candidates;
+    if (i === last) {
+      candidates = [checksumWord(words.slice(0, -1), wordlist)].filter(near);
+    } else {
+      // Nearby words first: hashing the whole wordlist per position is slow
+      candidates = entry.words.filter(function(candidate) {
+        return candidate !== words[i] && near(candidate);
+      }).filter(function(candidate) {
+        const fixed = words.slice();
+        fixed[i] = candidate;
+        return fixed[last] === checksumWord(fixed.slice(0, -1), wordlist);
+      });
+    }
+    if (candidates.length) {
+      result.suggestions.push({ index: i, words: candidates });
+    }
+  });
+  return result;
+}
@@ -0,0 +1,153 @@
+/**
+ * kb-compress.js - Optional payload compression before encryption
+ *
+ * Formats follow CompressionStream: 'gzip' and 'deflate' (zlib framing).
+ * Streams use the native CompressionStream/DecompressionStream where they
+ * exist and fflate otherwise; in-memory payloads always use fflate, since
+ * encryptPlaintext() and decryptCiphertext() are synchronous.
+ *
+ * Decompression stops with a DecompressionLimitError once the output passes a
+ * byte limit, so a small crafted payload cannot exhaust memory.
+ */
+
+import { Gunzip, Gzip, Unzlib, Zlib } from 'fflate';
+import { DecompressionLimitError } from './kb-errors.js';
+
+export const FORMATS = ['gzip', 'deflate'];
+
+const CODECS = {
+  gzip: { compress: Gzip, decompress: Gunzip },
+  deflate: { compress: Zlib, decompress: Unzlib }
+};
+
+function getCodec(format) {
+  const codec = CODECS[format];
+  if (!codec) {
+    throw new Error('Unsupported compression format: ' + format);
+  }
+  return codec;
+}
+
+/**
+ * Whether the native compression streams are available
+ */
+export function hasNativeStreams() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Run an fflate streaming codec over byte chunks
+ */
+function fflateTransform(Codec) {
+  let codec;
+  return new TransformStream({
+    start: function(controller) {
+      codec = new Codec(function(chunk) {
+        if (chunk.length > 0) controller.enqueue(chunk);
+      });
+    },
+    transform: function(chunk) {
+      codec.push(chunk, false);
+    },
+    flush: function() {
+      codec.push(new Uint8Array(0), true);
+    }
+  });
+}
+
+/**
+ * TransformStream that errors once more than `limit` bytes pass through
+ */
+export function limitTransform(limit) {
+  let total = 0;
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      total += chunk.length;
+      if (total > limit) {
+        throw new DecompressionLimitError(limit);
+      }
+      controller.enqueue(chunk);
+    }
+  });
+}
+
+/**
+ * Compress a stream of bytes
+ *
+ * @param {string} format - 'gzip' or 'deflate'
+ * @param {boolean} native - Use CompressionStream (defaults to whether it exists)
+ * @returns {TransformStream|CompressionStream}
+ */
+export function compressTransform(format, native = hasNativeStreams()) {
+  const codec = getCodec(format);
+  return native ? new CompressionStream(format) : fflateTransform(codec.compress);
+}
+
+/**
+ * Decompress a stream of bytes, producing at most `limit` bytes
+ *
+ * @param {string} format - 'gzip' or 'deflate'
+ * @param {number} limit - Maximum decompressed size in bytes
+ * @param {boolean} native - Use DecompressionStream (defaults to whether it exists)
+ * @returns {Object} - {writable, readable} pair for pipeThrough()
+ */
+export function decompressTransform(format, limit, native = hasNativeStreams()) {
+  const codec = getCodec(format);
+  const inflate = native ? new DecompressionStream(format) : fflateTransform(codec.decompress);
+  const limiter = limitTransform(limit);
+  return {
+    writable: inflate.writable,
+    readable: inflate.readable.pipeThrough(limiter)
+  };
+}
+
+/**
+ * Compress an in-memory payload
+ */
+export function compressBytes(bytes, format) {
+  return runCodec(getCodec(format).compress, bytes, Infinity);
+}
+
+/**
+ * Decompress an in-memory payload, producing at most `limit` bytes
+ *
+ * @throws {DecompressionLimitError}
+ */
+export function decompressBytes(bytes, format, limit) {
+  return runCodec(getCodec(format).decompress, bytes, limit);
+}
+
+// Input fed to the codec per push: fflate inflates a whole push at once, so
+// this bounds how far past the limit the output can get before it is checked
+const CHUNK_SIZE = 16 * 1024;
+
+function runCodec(Codec, bytes, limit) {
+  const chunks = [];
+  let total = 0;
+  const codec = new Codec(function(chunk) {
+    total += chunk.length;
+    if (total > limit) {
+      throw new DecompressionLimitError(limit);
+    }
+    chunks.push(chunk);
+  });
+  try {
+    let pushed = 0;
+    do {
+      const end = pushed + CHUNK_SIZE;
+      codec.push(bytes.subarray(pushed, end), end >= bytes.length);
+      pushed = end;
+    } while (pushed < bytes.length);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (let i = 0; i < chunks.length; i++) {
+      out.set(chunks[i], offset);
+      offset += chunks[i].length;
+    }
+    return out;
+  } finally {
+    // The pieces are copies made by the codec: zero them rather than leave
+    // stray copies of decrypted data behind
+    chunks.forEach(function(chunk) { chunk.fill(0); });
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * kb-container.js - Binary .kbr container format
+ *
+ * Layout:
+ *   magic      4 bytes   "KBR\0"
+ *   version    1 byte    binary framing version (1)
+ *   hlen       4 bytes   header length, unsigned big-endian
+ *   header     hlen      UTF-8 JSON, the .kbr.json object without ct
+ *   ct         rest      raw payload ciphertext
+ *
+ * The header carries the same fields as the JSON form, so the two convert into
+ * each other without touching the ciphertext.
+ */
+
+import { decodeBase64, encodeBase64 } from './kb-noble.js';
+
+export const MAGIC = new Uint8Array([0x4B, 0x42, 0x52, 0x00]); // "KBR\0"
+export const FORMAT_VERSION = 1;
+export const PREFIX_LENGTH = MAGIC.length + 1 + 4;
+
+/**
+ * Check whether bytes start with the binary container magic number
+ */
+export function isBinaryContainer(bytes) {
+  if (bytes.length < MAGIC.length) return false;
+  for (let i = 0; i < MAGIC.length; i++) {
+    if (bytes[i] !== MAGIC[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Build everything that precedes the ciphertext
+ *
+ * @param {Object} headerObj - JSON-ready container object without ct
+ * @returns {Uint8Array} - Magic, version, header length and header
+ */
+export function writeContainerPrefix(headerObj) {
+  const headerBytes = new TextEncoder().encode(JSON.stringify(headerObj));
+  const prefix = new Uint8Array(PREFIX_LENGTH + headerBytes.length);
+  prefix.set(MAGIC, 0);
+  prefix[MAGIC.length] = FORMAT_VERSION;
+  new DataView(prefix.buffer).setUint32(MAGIC.length + 1, headerBytes.length, false);
+  prefix.set(headerBytes, PREFIX_LENGTH);
+  return prefix;
+}
+
+/**
+ * Write a complete binary container
+ *
+ * @param {Object} headerObj - JSON-ready container object without ct
+ * @param {Uint8Array} ct - Raw payload ciphertext
+ * @returns {Uint8Array}
+ */
+export function writeContainer(headerObj, ct) {
+  const prefix = writeContainerPrefix(headerObj);
+  const out = new Uint8Array(prefix.length + ct.length);
+  out.set(prefix, 0);
+  out.set(ct, prefix.length);
+  return out;
+}
+
+/**
+ * Parse the fixed-size start of a container
+ *
+ * @param {Uint8Array} bytes - At least the first PREFIX_LENGTH bytes
+ * @returns {number} - Length of the JSON header that follows
+ * @throws {Error} - If the magic number or version is wrong
+ */
+export function readHeaderLength(bytes) {
+  if (!isBinaryContainer(bytes) || bytes.length < PREFIX_LENGTH) {
+    throw new Error('Not a binary keybearer container');
+  }
+  if (bytes[MAGIC.length] !== FORMAT_VERSION) {
+    throw new Error('Unsupported binary container version: ' + bytes[MAGIC.length]);
+  }
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    .getUint32(MAGIC.length + 1, false);
+}
+
+/**
+ * Read a complete binary container
+ *
+ * @param {Uint8Array} bytes - Container bytes
+ * @returns {Object} - {header: parsed JSON header, ct: Uint8Array view of the ciphertext}
+ */
+export function readContainer(bytes) {
+  const headerLength = readHeaderLength(bytes);
+  const ctOffset = PREFIX_LENGTH + headerLength;
+  if (bytes.length < ctOffset) {
+    throw new Error('Binary container header is truncated');
+  }
+  const headerText = new TextDecoder().decode(bytes.subarray(PREFIX_LENGTH, ctOffset));
+  return {
+    header: JSON.parse(headerText),
+    ct: bytes.subarray(ctOffset)
+  };
+}
+
+/**
+ * Convert a .kbr.json container to the binary .kbr form
+ *
+ * @param {string} json - .kbr.json text
+ * @returns {Uint8Array}
+ */
+export function jsonToBinary(json) {
+  const obj = JSON.parse(json);
+  const ct = decodeBase64(obj.ct);
+  delete obj.ct;
+  return writeContainer(obj, ct);
+}
+
+/**
+ * Convert a binary .kbr container to the .kbr.json form
+ *
+ * @param {Uint8Array} bytes - .kbr bytes
+ * @returns {string}
+ */
+export function binaryToJSON(bytes) {
+  const container = readContainer(bytes);
+  container.header.ct = encodeBase64(container.ct);
+  return JSON.stringify(container.header);
+}
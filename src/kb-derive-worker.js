@@ -0,0 +1,17 @@
+/**
+ * kb-derive-worker.js - Key derivation worker for the pool in kb-pool.js
+ *
+ * Derives one key per message: {password, salt, kdf, keyLength} in, {key} or
+ * {error} out. In Node.js, kb-pool.js provides `self` over worker_threads.
+ */
+
+import { deriveKeyAsync } from './kb-noble.js';
+
+self.onmessage = function(event) {
+  const job = event.data;
+  deriveKeyAsync(job.password, job.salt, job.kdf, job.keyLength).then(function(key) {
+    self.postMessage({ key: key }, [key.buffer]);
+  }, function(err) {
+    self.postMessage({ error: err.message });
+  });
+};
@@ -0,0 +1,97 @@
+/**
+ * kb-errors.js - Error types raised by Keybearer
+ *
+ * Callers can tell failures apart by `instanceof` or by `err.name`, which also
+ * survives being posted from a web worker.
+ */
+
+/**
+ * Base class for all Keybearer errors
+ */
+export class KeybearerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeybearerError';
+  }
+}
+
+/**
+ * The container's cleartext header was modified after encryption
+ */
+export class HeaderAuthError extends KeybearerError {
+  constructor(message) {
+    super(message || 'The container header has been modified');
+    this.name = 'HeaderAuthError';
+  }
+}
+
+/**
+ * A compressed payload expanded beyond the allowed size
+ */
+export class DecompressionLimitError extends KeybearerError {
+  constructor(limit) {
+    super('Decompressed payload is larger than the limit of ' + limit + ' bytes');
+    this.name = 'DecompressionLimitError';
+    this.limit = limit;
+  }
+}
+
+/**
+ * A file extracted from a bundle does not match its manifest digest
+ */
+export class BundleIntegrityError extends KeybearerError {
+  constructor(path) {
+    super('Bundle file "' + path + '" does not match its SHA-256 digest');
+    this.name = 'BundleIntegrityError';
+    this.path = path;
+  }
+}
+
+/**
+ * The payload failed authentication: it was modified, truncated or corrupted
+ */
+export class PayloadAuthError extends KeybearerError {
+  constructor(message) {
+    super(message || 'Payload failed authentication');
+    this.name = 'PayloadAuthError';
+  }
+}
+
+/**
+ * A synchronous call was given data that only the streaming path handles,
+ * such as plaintext set with setPlaintextBlob() or setPlaintextFiles()
+ */
+export class StreamRequiredError extends KeybearerError {
+  constructor(message) {
+    super(message);
+    this.name = 'StreamRequiredError';
+  }
+}
+
+/**
+ * The entered passcodes do not unlock the container
+ *
+ * `result` holds the decryptKeysWithPasscodes() report of which fields were
+ * rejected or mistyped.
+ */
+export class PasscodeError extends KeybearerError {
+  constructor(result) {
+    super('The passcodes do not unlock this container');
+    this.name = 'PasscodeError';
+    this.result = result;
+  }
+}
+
+/**
+ * The operation was stopped through its AbortSignal
+ *
+ * Shares its name with the DOM's AbortError, so `err.name === 'AbortError'`
+ * checks written for fetch() also match it. `reason` is the signal's reason.
+ */
+export class AbortError extends KeybearerError {
+  constructor(reason) {
+    super('The operation was aborted');
+    this.name = 'AbortError';
+    this.reason = reason;
+  }
+}
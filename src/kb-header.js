@@ -0,0 +1,84 @@
+/**
+ * kb-header.js - Canonical container header serialization
+ *
+ * The cleartext metadata of a container is serialized in a fixed field order and
+ * bound to the ciphertext as AEAD associated data, so that edits to it (file
+ * name, iteration count, threshold, ...) make decryption fail.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { encodeBase64 } from './kb-noble.js';
+
+export const HEADER_VERSION = 1;
+
+// Fields describing the payload, bound to the payload and to every key slot
+export const PAYLOAD_FIELDS = ['v', 'hv', 'mode', 'cipher', 'ts', 'ks', 'seg', 'cmp', 'pad', 'pc', 'ih', 'fn', 'ft', 'tn', 'ti'];
+
+// Fields describing the key slots, bound to the key slots only so that the
+// slots can be rebuilt without re-encrypting the payload
+export const SLOT_FIELDS = ['kdf', 'iter', 'salt', 'nkeys', 'nunlock', 'pol', 'pck', 'pv'];
+
+/**
+ * Convert a header value to a JSON value with a stable representation
+ */
+function canonicalize(value) {
+  if (value instanceof Uint8Array) {
+    return encodeBase64(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value !== null && typeof value === 'object') {
+    const out = {};
+    Object.keys(value).sort().forEach(function(k) {
+      out[k] = canonicalize(value[k]);
+    });
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Serialize the given header fields of a container object
+ *
+ * Fields that are absent (null or undefined) are left out, so optional fields
+ * added in later versions do not change the serialization of older files.
+ *
+ * @param {Object} obj - Container object (binary fields as Uint8Array)
+ * @param {Array<string>} fields - Field names, in serialization order
+ * @returns {Uint8Array} - UTF-8 encoded canonical header
+ */
+export function serializeHeader(obj, fields) {
+  const pairs = [];
+  for (let i = 0; i < fields.length; i++) {
+    const value = obj[fields[i]];
+    if (value !== null && value !== undefined) {
+      pairs.push([fields[i], canonicalize(value)]);
+    }
+  }
+  return new TextEncoder().encode(JSON.stringify(pairs));
+}
+
+/**
+ * Associated data for the payload ciphertext
+ */
+export function payloadAAD(obj) {
+  return serializeHeader(obj, PAYLOAD_FIELDS);
+}
+
+/**
+ * Associated data for each key slot (payload and key slot fields)
+ */
+export function slotAAD(obj) {
+  return serializeHeader(obj, PAYLOAD_FIELDS.concat(SLOT_FIELDS));
+}
+
+/**
+ * Digest of the full header, stored alongside it to report edits up front
+ *
+ * The digest itself is unkeyed: it only tells an edited header apart from a
+ * wrong passcode. The AEAD binding above is what actually rejects the edit.
+ */
+export function headerDigest(obj) {
+  return encodeBase64(sha256(slotAAD(obj)));
+}
@@ -0,0 +1,94 @@
+/**
+ * kb-inner.js - Encrypted inner header for file metadata
+ *
+ * When file metadata is hidden, the payload plaintext starts with an inner
+ * header carrying the real file name, type, size and modification time:
+ *
+ *   hlen       4 bytes   header length, unsigned big-endian
+ *   header     hlen      UTF-8 JSON {fn, ft, size, mtime}
+ *   file       rest      file contents
+ *
+ * The outer (cleartext) header then carries only a neutral name.
+ */
+
+import { wrapStream } from './kb-stream.js';
+
+export const LENGTH_BYTES = 4;
+
+/**
+ * Encode the inner header that precedes the file contents
+ *
+ * @param {Object} meta - {fn, ft, size, mtime}
+ * @returns {Uint8Array}
+ */
+export function encodeInnerHeader(meta) {
+  const json = new TextEncoder().encode(JSON.stringify(meta));
+  const out = new Uint8Array(LENGTH_BYTES + json.length);
+  new DataView(out.buffer).setUint32(0, json.length, false);
+  out.set(json, LENGTH_BYTES);
+  return out;
+}
+
+/**
+ * Read the inner header from the start of a decrypted payload
+ *
+ * @param {Uint8Array} bytes - Payload plaintext, or at least its beginning
+ * @returns {Object|null} - {meta, offset: start of the file contents}, or null
+ *   if bytes does not yet hold the whole header
+ */
+export function readInnerHeader(bytes) {
+  if (bytes.length < LENGTH_BYTES) return null;
+  const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, false);
+  const offset = LENGTH_BYTES + length;
+  if (bytes.length < offset) return null;
+  const meta = JSON.parse(new TextDecoder().decode(bytes.subarray(LENGTH_BYTES, offset)));
+  return { meta: meta, offset: offset };
+}
+
+/**
+ * ReadableStream of the inner header followed by the file contents
+ *
+ * @param {Uint8Array} header - Encoded inner header from encodeInnerHeader()
+ * @param {ReadableStream} source - File contents
+ */
+export function prependInnerHeader(header, source) {
+  return wrapStream(header, source);
+}
+
+/**
+ * TransformStream that strips the inner header off a decrypted payload
+ *
+ * @param {Function} onHeader - Called with the metadata once the header is read
+ * @returns {TransformStream} - File contents only
+ */
+export function stripInnerHeader(onHeader) {
+  let pending = new Uint8Array(0);
+  let done = false;
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      if (done) {
+        controller.enqueue(chunk);
+        return;
+      }
+      const bytes = new Uint8Array(pending.length + chunk.length);
+      bytes.set(pending, 0);
+      bytes.set(chunk, pending.length);
+      const header = readInnerHeader(bytes);
+      if (!header) {
+        pending = bytes;
+        return;
+      }
+      done = true;
+      pending = null;
+      onHeader(header.meta);
+      if (header.offset < bytes.length) {
+        controller.enqueue(bytes.subarray(header.offset));
+      }
+    },
+    flush: function() {
+      if (!done) {
+        throw new Error('Payload ends inside its inner header');
+      }
+    }
+  });
+}
@@ -5,8 +5,13 @@
  * to replace the deprecated SJCL library.
  */
 
-import { chacha20poly1305 } from '@noble/ciphers/chacha';
+import { gcm } from '@noble/ciphers/aes';
+import { chacha20poly1305, xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { argon2id } from '@noble/hashes/argon2';
+import { hkdf } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
 import { pbkdf2 } from '@noble/hashes/pbkdf2';
+import { scrypt } from '@noble/hashes/scrypt';
 import { sha256 } from '@noble/hashes/sha256';
 
 /**
@@ -47,6 +52,242 @@ export function deriveKeyFromPassword(password, salt, iterations, keyLength = 32
   });
 }
 
+/**
+ * Derive encryption key from password using PBKDF2-SHA256, natively where possible
+ *
+ * Uses WebCrypto's deriveBits(), several times faster than the pure-JS
+ * version, and falls back to deriveKeyFromPassword() where crypto.subtle is
+ * missing (e.g. pages not served over HTTPS) or rejects the parameters. Both
+ * give the same key.
+ *
+ * @param {string} password - Password string
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - PBKDF2 iteration count
+ * @param {number} keyLength - Key length in bytes (default 32 for 256-bit)
+ * @returns {Promise<Uint8Array>} - Derived key
+ */
+export function deriveKeyFromPasswordAsync(password, salt, iterations, keyLength = 32) {
+  const fallback = function() {
+    return deriveKeyFromPassword(password, salt, iterations, keyLength);
+  };
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return Promise.resolve().then(fallback);
+  }
+  const passwordBytes = new TextEncoder().encode(password);
+  return crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']).then(function(key) {
+    return crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: Number(iterations) },
+      key,
+      keyLength * 8
+    );
+  }).then(function(bits) {
+    return new Uint8Array(bits);
+  }, fallback);
+}
+
+/**
+ * Derive encryption key from password using Argon2id
+ *
+ * @param {string} password - Password string
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {Object} params - {t: passes, m: memory in KiB, p: lanes}
+ * @param {number} keyLength - Key length in bytes (default 32 for 256-bit)
+ * @returns {Uint8Array} - Derived key
+ */
+export function deriveKeyArgon2id(password, salt, params, keyLength = 32) {
+  const passwordBytes = new TextEncoder().encode(password);
+  return argon2id(passwordBytes, salt, {
+    t: params.t,
+    m: params.m,
+    p: params.p,
+    dkLen: keyLength
+  });
+}
+
+/**
+ * Derive encryption key from password using scrypt
+ *
+ * @param {string} password - Password string
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {Object} params - {N: CPU/memory cost, r: block size, p: parallelization}
+ * @param {number} keyLength - Key length in bytes (default 32 for 256-bit)
+ * @returns {Uint8Array} - Derived key
+ */
+export function deriveKeyScrypt(password, salt, params, keyLength = 32) {
+  const passwordBytes = new TextEncoder().encode(password);
+  return scrypt(passwordBytes, salt, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    dkLen: keyLength
+  });
+}
+
+/**
+ * Derive encryption key with the KDF described by a container's `kdf` field
+ *
+ * @param {string} password - Password string
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {Object} kdf - {name: 'pbkdf2', c} | {name: 'argon2id', t, m, p} | {name: 'scrypt', N, r, p}
+ * @param {number} keyLength - Key length in bytes (default 32 for 256-bit)
+ * @returns {Uint8Array} - Derived key
+ * @throws {Error} - If the KDF is not supported
+ */
+export function deriveKey(password, salt, kdf, keyLength = 32) {
+  switch (kdf.name) {
+    case 'pbkdf2':
+      return deriveKeyFromPassword(password, salt, kdf.c, keyLength);
+    case 'argon2id':
+      return deriveKeyArgon2id(password, salt, kdf, keyLength);
+    case 'scrypt':
+      return deriveKeyScrypt(password, salt, kdf, keyLength);
+    default:
+      throw new Error('Unsupported key derivation function: ' + kdf.name);
+  }
+}
+
+/**
+ * Derive encryption key like deriveKey(), with PBKDF2 through WebCrypto
+ *
+ * @returns {Promise<Uint8Array>} - Derived key; Argon2id and scrypt are derived
+ *   in pure JS as by deriveKey()
+ */
+export function deriveKeyAsync(password, salt, kdf, keyLength = 32) {
+  if (kdf.name === 'pbkdf2') {
+    return deriveKeyFromPasswordAsync(password, salt, kdf.c, keyLength);
+  }
+  return Promise.resolve().then(function() {
+    return deriveKey(password, salt, kdf, keyLength);
+  });
+}
+
+/**
+ * AEAD ciphers for payloads and key slots, keyed by the container's `mode` field
+ *
+ * `cipher` is the matching value of the container's `cipher` field. All of them
+ * take 256-bit keys and produce 16-byte tags.
+ */
+export const CIPHERS = {
+  chacha20poly1305: { cipher: 'chacha20', nonceLength: 12, aead: chacha20poly1305 },
+  xchacha20poly1305: { cipher: 'xchacha20', nonceLength: 24, aead: xchacha20poly1305 },
+  gcm: { cipher: 'aes', nonceLength: 12, aead: gcm }
+};
+
+/**
+ * Look up an AEAD cipher by mode
+ *
+ * @param {string} mode - Container `mode` field, e.g. 'chacha20poly1305'
+ * @param {string} cipher - Container `cipher` field, checked against the mode if given
+ * @returns {Object} - {cipher, nonceLength, aead}
+ * @throws {Error} - If the mode is unknown or does not match the cipher
+ */
+export function getCipher(mode, cipher) {
+  const entry = Object.prototype.hasOwnProperty.call(CIPHERS, mode) ? CIPHERS[mode] : null;
+  if (!entry || (cipher && cipher !== entry.cipher)) {
+    throw new Error('Unsupported cipher: ' + mode + (cipher ? '/' + cipher : ''));
+  }
+  return entry;
+}
+
+/**
+ * Encrypt plaintext with the AEAD cipher for a mode
+ *
+ * @param {string} mode - Cipher mode from CIPHERS
+ * @param {Uint8Array} key - 256-bit encryption key
+ * @param {Uint8Array} plaintext - Data to encrypt
+ * @param {Uint8Array} nonce - Nonce of the cipher's length (optional, generated if not provided)
+ * @param {Uint8Array} aad - Additional authenticated data (optional)
+ * @returns {Object} - {ciphertext: Uint8Array, nonce: Uint8Array}
+ */
+export function encryptAEAD(mode, key, plaintext, nonce = null, aad = new Uint8Array(0)) {
+  const entry = getCipher(mode);
+  if (!nonce) {
+    nonce = getRandomBytes(entry.nonceLength);
+  }
+  const ciphertext = entry.aead(key, nonce, aad).encrypt(plaintext);
+  return { ciphertext, nonce };
+}
+
+/**
+ * Decrypt ciphertext with the AEAD cipher for a mode
+ *
+ * @param {string} mode - Cipher mode from CIPHERS
+ * @param {Uint8Array} key - 256-bit decryption key
+ * @param {Uint8Array} ciphertext - Data to decrypt (includes auth tag)
+ * @param {Uint8Array} nonce - Nonce used for encryption
+ * @param {Uint8Array} aad - Additional authenticated data (optional)
+ * @returns {Uint8Array} - Decrypted plaintext
+ * @throws {Error} - If authentication fails
+ */
+export function decryptAEAD(mode, key, ciphertext, nonce, aad = new Uint8Array(0)) {
+  return getCipher(mode).aead(key, nonce, aad).decrypt(ciphertext);
+}
+
+/**
+ * Derive a key commitment tag with HKDF-SHA256
+ *
+ * None of the AEAD ciphers above commit to their key: a crafted ciphertext can
+ * authenticate under more than one key. Storing this tag next to a ciphertext,
+ * and checking it before trusting a decryption, pins the ciphertext to one key.
+ *
+ * @param {Uint8Array} key - Key to commit to
+ * @param {Uint8Array} nonce - Nonce of the ciphertext the key is used for (HKDF salt)
+ * @param {string} label - Purpose of the key, e.g. 'slot' or 'payload'
+ * @returns {Uint8Array} - 32-byte commitment tag
+ */
+export function commitKey(key, nonce, label) {
+  return hkdf(sha256, key, nonce, 'keybearer key commitment: ' + label, 32);
+}
+
+/**
+ * Derive a key slot lookup tag: HMAC-SHA256 over the container salt, truncated
+ *
+ * The tag depends on the derived key, not on who holds it, so it lets a
+ * decryptor find its slot without revealing which holders formed it.
+ *
+ * @param {Uint8Array} key - Derived (combination) key
+ * @param {Uint8Array} salt - Container salt, so tags differ between containers
+ * @returns {Uint8Array} - 8-byte tag
+ */
+export function slotLookupTag(key, salt) {
+  const label = new TextEncoder().encode('keybearer slot lookup');
+  const msg = new Uint8Array(label.length + salt.length);
+  msg.set(label, 0);
+  msg.set(salt, label.length);
+  return hmac(sha256, key, msg).slice(0, 8);
+}
+
+/**
+ * Derive a passcode verifier: HMAC-SHA256 over the container salt, cut to 2 bytes
+ *
+ * The key comes from the slow KDF, so checking a guess costs as much as
+ * deriving a key; with only 16 bits, one in 65536 wrong guesses also matches,
+ * so a verifier thins out a brute-force search but cannot confirm a passcode.
+ *
+ * @param {Uint8Array} key - Key derived from a single passcode
+ * @param {Uint8Array} salt - Container salt
+ * @returns {Uint8Array} - 2-byte verifier
+ */
+export function passcodeVerifier(key, salt) {
+  const label = new TextEncoder().encode('keybearer passcode verifier');
+  const msg = new Uint8Array(label.length + salt.length);
+  msg.set(label, 0);
+  msg.set(salt, label.length);
+  return hmac(sha256, key, msg).slice(0, 2);
+}
+
+/**
+ * Compare two byte arrays in constant time (for equal lengths)
+ */
+export function equalBytes(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
 /**
  * Encrypt plaintext using ChaCha20-Poly1305
  * Replaces: sjcl.mode.ccm.encrypt() and sjcl.mode.ocb2.encrypt()
@@ -86,22 +327,59 @@ export function decryptChaCha20Poly1305(key, ciphertext, nonce, aad = new Uint8A
   return cipher.decrypt(ciphertext);
 }
 
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_LOOKUP = new Int16Array(128).fill(-1);
+for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+  BASE64_LOOKUP[BASE64_ALPHABET.charCodeAt(i)] = i;
+}
+
 /**
  * Encode Uint8Array to base64 string
  * Replaces: sjcl.codec.base64.fromBits()
+ *
+ * Works in 48 KiB pieces (a multiple of 3 bytes, so the pieces concatenate) to
+ * avoid building a binary string of the whole input.
  */
 export function encodeBase64(uint8array) {
-  const binaryString = Array.from(uint8array, byte => String.fromCharCode(byte)).join('');
-  return btoa(binaryString);
+  const pieces = [];
+  const step = 49152;
+  for (let i = 0; i < uint8array.length; i += step) {
+    const chunk = uint8array.subarray(i, i + step);
+    pieces.push(btoa(String.fromCharCode.apply(null, chunk)));
+  }
+  return pieces.join('');
 }
 
 /**
  * Decode base64 string to Uint8Array
  * Replaces: sjcl.codec.base64.toBits()
+ *
+ * Decodes straight into the output buffer without an intermediate binary string.
  */
 export function decodeBase64(base64str) {
-  const binaryString = atob(base64str);
-  return Uint8Array.from(binaryString, char => char.charCodeAt(0));
+  let end = base64str.length;
+  while (end > 0 && base64str.charCodeAt(end - 1) === 61) end--; // strip '=' padding
+  if (end % 4 === 1) {
+    throw new Error('Invalid base64 length');
+  }
+  const out = new Uint8Array(Math.floor(end * 3 / 4));
+  let buffer = 0;
+  let bits = 0;
+  let o = 0;
+  for (let i = 0; i < end; i++) {
+    const code = base64str.charCodeAt(i);
+    const value = code < 128 ? BASE64_LOOKUP[code] : -1;
+    if (value === -1) {
+      throw new Error('Invalid base64 character at position ' + i);
+    }
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      out[o++] = (buffer >> bits) & 0xFF;
+    }
+  }
+  return out;
 }
 
 /**
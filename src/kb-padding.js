@@ -0,0 +1,135 @@
+/**
+ * kb-padding.js - Length-hiding payload padding
+ *
+ * The plaintext is followed by a 0x80 marker byte and zero bytes up to the
+ * padded length (ISO/IEC 7816-4 padding), so the padding can be removed
+ * without storing the real length anywhere. Schemes:
+ *
+ *   padme  Padmé (Nikitin et al., "Reducing Metadata Leakage from Encrypted
+ *          Files and Communication with PURBs"): at most 12% overhead, leaks
+ *          O(log log L) bits of the length
+ *   pow2   next power of two: at most 100% overhead, leaks O(log log L) bits
+ *   fixed  multiples of a fixed size: hides the length up to that size
+ */
+
+const CHUNK_SIZE = 65536;
+
+/**
+ * Padded length for a plaintext (including its marker byte)
+ *
+ * @param {number} length - Plaintext length plus one for the marker
+ * @param {Object} pad - {name: 'padme' | 'pow2'} or {name: 'fixed', size}
+ * @returns {number}
+ */
+export function paddedLength(length, pad) {
+  switch (pad.name) {
+    case 'padme': {
+      if (length < 2) return length;
+      const e = Math.floor(Math.log2(length));
+      const s = Math.floor(Math.log2(e)) + 1;
+      const step = Math.pow(2, e - s);
+      return Math.ceil(length / step) * step;
+    }
+    case 'pow2':
+      return Math.pow(2, Math.ceil(Math.log2(length)));
+    case 'fixed':
+      if (!(pad.size >= 1)) {
+        throw new Error('Fixed padding needs a size');
+      }
+      return Math.ceil(length / pad.size) * pad.size;
+    default:
+      throw new Error('Unsupported padding scheme: ' + pad.name);
+  }
+}
+
+/**
+ * Pad an in-memory plaintext
+ */
+export function padBytes(bytes, pad) {
+  const out = new Uint8Array(paddedLength(bytes.length + 1, pad));
+  out.set(bytes, 0);
+  out[bytes.length] = 0x80;
+  return out;
+}
+
+/**
+ * Remove padding from an in-memory plaintext
+ *
+ * @throws {Error} - If no marker byte ends the plaintext
+ */
+export function unpadBytes(bytes) {
+  let end = bytes.length - 1;
+  while (end >= 0 && bytes[end] === 0) end--;
+  if (end < 0 || bytes[end] !== 0x80) {
+    throw new Error('Invalid payload padding');
+  }
+  return bytes.subarray(0, end);
+}
+
+/**
+ * TransformStream that appends padding once the plaintext length is known
+ */
+export function padTransform(pad) {
+  let length = 0;
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      length += chunk.length;
+      controller.enqueue(chunk);
+    },
+    flush: function(controller) {
+      let remaining = paddedLength(length + 1, pad) - length;
+      const marker = new Uint8Array(Math.min(CHUNK_SIZE, remaining));
+      marker[0] = 0x80;
+      controller.enqueue(marker);
+      remaining -= marker.length;
+      while (remaining > 0) {
+        const zeros = new Uint8Array(Math.min(CHUNK_SIZE, remaining));
+        controller.enqueue(zeros);
+        remaining -= zeros.length;
+      }
+    }
+  });
+}
+
+/**
+ * TransformStream that removes padding
+ *
+ * A trailing run of the form 0x80 0x00* could be padding, so it is held back
+ * (as a count, not as bytes) until more data shows that it is not.
+ */
+export function unpadTransform() {
+  let marker = false;
+  let zeros = 0;
+  const release = function(controller) {
+    if (marker) controller.enqueue(new Uint8Array([0x80]));
+    while (zeros > 0) {
+      const run = new Uint8Array(Math.min(CHUNK_SIZE, zeros));
+      controller.enqueue(run);
+      zeros -= run.length;
+    }
+    marker = false;
+  };
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      let last = chunk.length - 1;
+      while (last >= 0 && chunk[last] === 0) last--;
+      if (last < 0) {
+        zeros += chunk.length;
+        return;
+      }
+      release(controller);
+      if (chunk[last] === 0x80) {
+        if (last > 0) controller.enqueue(chunk.subarray(0, last));
+        marker = true;
+      } else {
+        controller.enqueue(chunk.subarray(0, last + 1));
+      }
+      zeros = chunk.length - last - 1;
+    },
+    flush: function() {
+      if (!marker) {
+        throw new Error('Invalid payload padding');
+      }
+    }
+  });
+}
@@ -0,0 +1,257 @@
+/**
+ * kb-policy.js - Threshold access policies for Keybearer v3
+ *
+ * A policy is a tree of threshold gates. Every member of a gate is a holder
+ * (one passcode) or a named group with its own threshold and members, and
+ * carries a weight; a gate opens once the weights of its open members reach
+ * its threshold. "2 of 3 family members and 1 of 2 attorneys" is a gate of
+ * threshold 2 over two groups.
+ *
+ * Each gate splits its secret into Shamir shares, one per unit of weight. A
+ * holder keeps their shares; a group's shares, concatenated, become the
+ * secret of its own gate. So exactly the qualifying sets of holders hold
+ * enough shares.
+ *
+ * The container records the policy without passcodes, e.g.
+ *   {"t": 2, "m": [{"w": 1, "n": "family", "t": 2, "m": [{"w": 1}, ...]}, ...]}
+ * Each key slot holds the holder's path through the tree (one member index per
+ * gate) followed by their shares, padded with zero bytes to the length of the
+ * largest slot so slot sizes do not give away weights or positions.
+ */
+
+import { combineShares, splitSecret } from './kb-shamir.js';
+
+/**
+ * Whether a member (definition or header form) is a group
+ */
+function isGroup(member) {
+  return Array.isArray(member.m) || Array.isArray(member.holders);
+}
+
+/**
+ * Check a policy and reduce it to its header form
+ *
+ * @param {Object} policy - {threshold, holders: [member]}, where a member is a
+ *   holder {passcode, weight} or a group {name, threshold, holders, weight};
+ *   weights default to 1
+ * @returns {Object} - {t, m: [{w} or {w, n, t, m}]}, in definition order
+ */
+export function policyHeader(policy) {
+  return gateHeader(policy, 'policy');
+}
+
+function gateHeader(gate, label) {
+  if (!gate.holders || gate.holders.length === 0) {
+    throw new Error('The ' + label + ' needs at least one holder');
+  }
+  if (gate.holders.length > 255) {
+    throw new Error('At most 255 members per group are supported');
+  }
+  const members = gate.holders.map(function(member) {
+    const w = member.weight === undefined ? 1 : member.weight;
+    if (!Number.isInteger(w) || w < 1) {
+      throw new Error('Weights must be positive integers');
+    }
+    if (!isGroup(member)) {
+      return { w: w };
+    }
+    if (typeof member.name !== 'string' || member.name.length === 0) {
+      throw new Error('Every group needs a name');
+    }
+    const group = gateHeader(member, 'group "' + member.name + '"');
+    return { w: w, n: member.name, t: group.t, m: group.m };
+  });
+  const total = totalWeight({ m: members });
+  if (total > 255) {
+    throw new Error('The weights of the ' + label + ' add up to more than 255');
+  }
+  if (!Number.isInteger(gate.threshold) || gate.threshold < 1 || gate.threshold > total) {
+    throw new Error('The threshold of the ' + label + ' must be between 1 and the total weight of its members');
+  }
+  return { t: gate.threshold, m: members };
+}
+
+/**
+ * Holder definitions of a policy, depth first (the order of the key slots)
+ */
+export function policyLeaves(policy) {
+  const leaves = [];
+  const walk = function(gate) {
+    gate.holders.forEach(function(member) {
+      if (isGroup(member)) {
+        walk(member);
+      } else {
+        leaves.push(member);
+      }
+    });
+  };
+  walk(policy);
+  return leaves;
+}
+
+/**
+ * Sum of the member weights of a gate
+ */
+export function totalWeight(gate) {
+  return gate.m.reduce(function(sum, member) { return sum + member.w; }, 0);
+}
+
+/**
+ * Smallest number of holders that can open a gate (Infinity if none)
+ */
+export function minHolders(gate) {
+  // best[x]: fewest holders giving weight x (capped at the threshold)
+  const best = new Array(gate.t + 1).fill(Infinity);
+  best[0] = 0;
+  gate.m.forEach(function(member) {
+    const cost = isGroup(member) ? minHolders(member) : 1;
+    for (let x = gate.t; x >= 0; x--) {
+      if (best[x] === Infinity) continue;
+      const y = Math.min(gate.t, x + member.w);
+      best[y] = Math.min(best[y], best[x] + cost);
+    }
+  });
+  return best[gate.t];
+}
+
+/**
+ * Split a secret into one key slot plaintext per holder
+ *
+ * @param {Uint8Array} secret - Master key
+ * @param {Object} pol - Header form of the policy
+ * @returns {Array<Uint8Array>} - Slot plaintexts, depth first
+ */
+export function splitPolicy(secret, pol) {
+  const leaves = [];
+  const split = function(gate, gateSecret, path) {
+    const shares = splitSecret(gateSecret, gate.t, totalWeight(gate));
+    let next = 0;
+    gate.m.forEach(function(member, index) {
+      const own = shares.slice(next, next += member.w);
+      if (isGroup(member)) {
+        split(member, concat(own), path.concat([index]));
+      } else {
+        leaves.push(concat([Uint8Array.from(path.concat([index]))].concat(own)));
+      }
+    });
+  };
+  split(pol, secret, []);
+
+  const length = Math.max.apply(null, leaves.map(function(leaf) { return leaf.length; }));
+  return leaves.map(function(leaf) {
+    const slot = new Uint8Array(length);
+    slot.set(leaf, 0);
+    return slot;
+  });
+}
+
+/**
+ * Read the holder's path and shares from a key slot plaintext
+ *
+ * @param {Object} pol - Header form of the policy
+ * @param {Uint8Array} plaintext - Opened key slot
+ * @param {number} secretLength - Master key length in bytes
+ * @returns {Object} - {path: member indices from the root, shares}
+ */
+export function parseSlot(pol, plaintext, secretLength) {
+  const path = [];
+  let gate = pol;
+  let length = secretLength;
+  for (let offset = 0; offset < plaintext.length; offset++) {
+    const member = gate.m[plaintext[offset]];
+    if (!member) {
+      throw new Error('Key slot refers to an unknown holder');
+    }
+    path.push(plaintext[offset]);
+    if (isGroup(member)) {
+      // A group's secret is its shares of the enclosing gate, concatenated
+      length = member.w * (length + 1);
+      gate = member;
+      continue;
+    }
+    const shareLength = length + 1;
+    const shares = [];
+    for (let i = 0; i < member.w; i++) {
+      const start = offset + 1 + i * shareLength;
+      shares.push(plaintext.subarray(start, start + shareLength));
+    }
+    return { path: path, shares: shares };
+  }
+  throw new Error('Key slot does not reach a holder');
+}
+
+/**
+ * Recover the secret from the key slots opened so far
+ *
+ * @param {Object} pol - Header form of the policy
+ * @param {Array<Uint8Array>} plaintexts - Opened key slot plaintexts
+ * @param {number} secretLength - Master key length in bytes
+ * @returns {Uint8Array|null} - Secret, or null if the holders do not qualify
+ */
+export function recoverPolicy(pol, plaintexts, secretLength) {
+  const opened = {};
+  plaintexts.forEach(function(plaintext) {
+    const slot = parseSlot(pol, plaintext, secretLength);
+    opened[slot.path.join('.')] = slot.shares;
+  });
+
+  const recover = function(gate, length, path) {
+    const shares = [];
+    gate.m.forEach(function(member, index) {
+      const memberPath = path.concat([index]);
+      if (!isGroup(member)) {
+        Array.prototype.push.apply(shares, opened[memberPath.join('.')] || []);
+        return;
+      }
+      const groupSecret = recover(member, member.w * (length + 1), memberPath);
+      if (groupSecret) {
+        for (let i = 0; i < member.w; i++) {
+          shares.push(groupSecret.subarray(i * (length + 1), (i + 1) * (length + 1)));
+        }
+      }
+    });
+    return shares.length >= gate.t ? combineShares(shares.slice(0, gate.t)) : null;
+  };
+  return recover(pol, secretLength, []);
+}
+
+/**
+ * How far the opened key slots get towards each gate of the policy
+ *
+ * @param {Object} pol - Header form of the policy
+ * @param {Array<Uint8Array>} plaintexts - Opened key slot plaintexts
+ * @param {number} secretLength - Master key length in bytes
+ * @returns {Array<Object>} - {name, have, need, open} per gate, depth first;
+ *   the root gate is named by its n field or '' if it has none
+ */
+export function policyStatus(pol, plaintexts, secretLength) {
+  const opened = {};
+  plaintexts.forEach(function(plaintext) {
+    opened[parseSlot(pol, plaintext, secretLength).path.join('.')] = true;
+  });
+
+  const status = [];
+  const visit = function(gate, path) {
+    const entry = { name: gate.n || '', have: 0, need: gate.t, open: false };
+    status.push(entry);
+    gate.m.forEach(function(member, index) {
+      const memberPath = path.concat([index]);
+      const open = isGroup(member) ? visit(member, memberPath) : opened[memberPath.join('.')];
+      if (open) entry.have += member.w;
+    });
+    entry.open = entry.have >= entry.need;
+    return entry.open;
+  };
+  visit(pol, []);
+  return status;
+}
+
+function concat(arrays) {
+  const out = new Uint8Array(arrays.reduce(function(sum, a) { return sum + a.length; }, 0));
+  let offset = 0;
+  arrays.forEach(function(a) {
+    out.set(a, offset);
+    offset += a.length;
+  });
+  return out;
+}
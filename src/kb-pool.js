@@ -0,0 +1,221 @@
+/**
+ * kb-pool.js - Parallel key derivation across a pool of workers
+ *
+ * Key derivation dominates encryption time: 5 of 10 passcodes with the
+ * combinations scheme means 252 slow KDF runs. The pool spreads them over one
+ * worker per core (web workers in the browser, worker_threads in Node.js),
+ * each running kb-derive-worker.js. Every key is derived exactly as
+ * makeKeyFromPassword() would, and returned in input order, so the output is
+ * identical to deriving the keys one after another.
+ */
+
+import { AbortError } from './kb-errors.js';
+
+// Not literal in import() calls, so browser bundles leave them alone
+const WORKER_THREADS = 'node:worker_threads';
+const OS = 'node:os';
+
+// Runs in each Node.js worker: gives kb-derive-worker.js the web worker globals it uses
+const NODE_ADAPTER = [
+  'const { parentPort, workerData } = require("worker_threads");',
+  'globalThis.self = { postMessage: function(message, transfer) { parentPort.postMessage(message, transfer); } };',
+  'import(workerData.url).then(function() {',
+  '  parentPort.on("message", function(data) { self.onmessage({ data: data }); });',
+  '});'
+].join('\n');
+
+/**
+ * Start the workers, each as {worker, job}
+ */
+function spawnWorkers(size, url) {
+  if (typeof Worker !== 'undefined') {
+    const n = size || (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    const slots = [];
+    for (let i = 0; i < n; i++) {
+      slots.push({ worker: new Worker(url || 'kb-derive-worker.js'), job: null });
+    }
+    return Promise.resolve(slots);
+  }
+  if (!url) {
+    return Promise.reject(new Error('Give the URL of kb-derive-worker.js to use worker_threads'));
+  }
+  return Promise.all([import(WORKER_THREADS), import(OS)]).then(function(modules) {
+    const threads = modules[0];
+    const n = size || modules[1].availableParallelism();
+    const script = String(url);
+    const slots = [];
+    for (let i = 0; i < n; i++) {
+      const worker = new threads.Worker(NODE_ADAPTER, { eval: true, workerData: { url: script } });
+      slots.push({ worker: worker, job: null });
+    }
+    return slots;
+  });
+}
+
+/**
+ * Call onReply(data) for each message from a worker, and onError(err) if it fails
+ */
+function listen(worker, onReply, onError) {
+  if (typeof worker.on === 'function') {
+    worker.on('message', onReply);
+    worker.on('error', onError);
+  } else {
+    worker.onmessage = function(event) {
+      onReply(event.data);
+    };
+    worker.onerror = function(event) {
+      event.preventDefault();
+      onError(new Error(event.message || 'Key derivation worker failed'));
+    };
+  }
+}
+
+/**
+ * Create a pool of key derivation workers
+ *
+ * Workers start on first use and run until terminate() is called; in Node.js
+ * they keep the process alive until then.
+ *
+ * @param {Object} options - Optional {size, url}: the number of workers
+ *   (default: one per core, from navigator.hardwareConcurrency or
+ *   os.availableParallelism()) and the URL of kb-derive-worker.js. In the
+ *   browser the URL defaults to the file next to the script creating the
+ *   workers, e.g. dist/kb-derive-worker.js for dist/kb-worker.js; Node.js
+ *   needs a file URL, e.g. new URL('src/kb-derive-worker.js', import.meta.url)
+ * @returns {Object} - {deriveKeys, terminate}
+ */
+export function createKeyPool(options) {
+  options = options || {};
+  const queue = [];
+  let slots = null;
+
+  const dispatch = function(list) {
+    list.forEach(function(slot) {
+      if (slot.job || !queue.length) return;
+      slot.job = queue.shift();
+      slot.worker.postMessage(slot.job.message);
+    });
+  };
+
+  // Reject a job that has not started
+  const drop = function(job, err) {
+    const i = queue.indexOf(job);
+    if (i !== -1) queue.splice(i, 1);
+    job.reject(err);
+  };
+
+  const start = function() {
+    if (!slots) {
+      slots = spawnWorkers(options.size, options.url).then(function(list) {
+        list.forEach(function(slot) {
+          listen(slot.worker, function(data) {
+            const job = slot.job;
+            slot.job = null;
+            if (data.error) {
+              job.reject(new Error(data.error));
+            } else {
+              job.resolve(new Uint8Array(data.key));
+            }
+            dispatch(list);
+          }, function(err) {
+            // A failed worker takes no more jobs; once none are left, neither does the pool
+            const job = slot.job;
+            slot.job = null;
+            list.splice(list.indexOf(slot), 1);
+            slot.worker.terminate();
+            if (job) job.reject(err);
+            if (!list.length) {
+              queue.splice(0).forEach(function(queued) {
+                queued.reject(err);
+              });
+            }
+            dispatch(list);
+          });
+        });
+        return list;
+      });
+    }
+    return slots;
+  };
+
+  const derive = function(password, salt, kdf, keyLength, signal) {
+    return new Promise(function(resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(new AbortError(signal.reason));
+        return;
+      }
+      // Queued jobs are dropped on abort; one already running is left to finish unheard
+      const onAbort = function() {
+        drop(job, new AbortError(signal.reason));
+      };
+      const settled = function() {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const job = {
+        message: { password: password, salt: salt, kdf: kdf, keyLength: keyLength },
+        resolve: function(key) {
+          settled();
+          resolve(key);
+        },
+        reject: function(err) {
+          settled();
+          reject(err);
+        }
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      queue.push(job);
+      start().then(function(list) {
+        if (!list.length) {
+          drop(job, new Error('Every key derivation worker has failed'));
+          return;
+        }
+        dispatch(list);
+      }, function(err) {
+        drop(job, err);
+      });
+    });
+  };
+
+  return {
+    /**
+     * Derive one key per password, spread over the workers
+     *
+     * @param {Array<string>} passwords - Normalized passcodes or combinations
+     * @param {Uint8Array} salt
+     * @param {Object} kdf - Container `kdf` field, see noble.deriveKey()
+     * @param {number} keyLength - Key length in bytes
+     * @param {Function} callback - Optional progress callback(fraction), over all workers
+     * @param {AbortSignal} signal - Optional; rejects with AbortError once aborted
+     * @returns {Promise<Array<Uint8Array>>} - Keys in the order of the passwords
+     */
+    deriveKeys: function(passwords, salt, kdf, keyLength, callback, signal) {
+      let done = 0;
+      return Promise.all(passwords.map(function(password) {
+        return derive(password, salt, kdf, keyLength, signal).then(function(key) {
+          done++;
+          if (callback) callback(done / passwords.length);
+          return key;
+        });
+      }));
+    },
+
+    /**
+     * Stop the workers; unfinished derivations are rejected
+     */
+    terminate: function() {
+      queue.splice(0).forEach(function(job) {
+        job.reject(new Error('Key derivation pool was terminated'));
+      });
+      const stopping = slots;
+      slots = null;
+      return stopping ? stopping.then(function(list) {
+        list.forEach(function(slot) {
+          if (slot.job) slot.job.reject(new Error('Key derivation pool was terminated'));
+          slot.worker.terminate();
+        });
+      }) : Promise.resolve();
+    }
+  };
+}
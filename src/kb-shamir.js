@@ -0,0 +1,120 @@
+/**
+ * kb-shamir.js - Shamir's Secret Sharing over GF(256) for Keybearer v3
+ *
+ * Each byte of the secret is the constant term of its own random polynomial of
+ * degree (threshold - 1). A share is the x coordinate followed by the
+ * evaluation of every byte polynomial at x.
+ */
+
+import { getRandomBytes } from './kb-noble.js';
+
+// Log/exp tables for GF(2^8) with the AES reduction polynomial (0x11b), generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+(function() {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    // Multiply by the generator 3 (x * 2 ^ x)
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+  }
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+function gfMul(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  if (a === 0) return 0;
+  return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shares, any `threshold` of which recover it
+ *
+ * @param {Uint8Array} secret - Secret bytes (e.g. the master key)
+ * @param {number} threshold - Number of shares needed to recover the secret
+ * @param {number} shareCount - Number of shares to produce (at most 255)
+ * @returns {Array<Uint8Array>} - Shares, each [x, y0, y1, ...] with x in 1..shareCount
+ */
+export function splitSecret(secret, threshold, shareCount) {
+  if (threshold < 1 || threshold > shareCount) {
+    throw new Error('Threshold must be between 1 and the number of shares');
+  }
+  if (shareCount > 255) {
+    throw new Error('At most 255 shares are supported');
+  }
+
+  const shares = [];
+  for (let i = 0; i < shareCount; i++) {
+    const share = new Uint8Array(secret.length + 1);
+    share[0] = i + 1;
+    shares.push(share);
+  }
+
+  for (let b = 0; b < secret.length; b++) {
+    // coeffs[0] is the secret byte, the rest are random
+    const coeffs = getRandomBytes(threshold);
+    coeffs[0] = secret[b];
+    for (let i = 0; i < shareCount; i++) {
+      const x = shares[i][0];
+      // Horner's method
+      let y = 0;
+      for (let c = threshold - 1; c >= 0; c--) {
+        y = gfMul(y, x) ^ coeffs[c];
+      }
+      shares[i][b + 1] = y;
+    }
+    coeffs.fill(0);
+  }
+
+  return shares;
+}
+
+/**
+ * Recover a secret from shares by Lagrange interpolation at x = 0
+ *
+ * Supplying fewer shares than the threshold yields unrelated bytes rather than an
+ * error, so callers must authenticate the result.
+ *
+ * @param {Array<Uint8Array>} shares - Shares produced by splitSecret()
+ * @returns {Uint8Array} - Recovered secret
+ */
+export function combineShares(shares) {
+  if (shares.length === 0) {
+    throw new Error('No shares to combine');
+  }
+  const length = shares[0].length - 1;
+  const xs = shares.map(share => share[0]);
+  if (new Set(xs).size !== xs.length || xs.indexOf(0) !== -1) {
+    throw new Error('Shares must have distinct, non-zero x coordinates');
+  }
+
+  // Lagrange basis polynomials evaluated at 0
+  const basis = xs.map(function(xi, i) {
+    let num = 1;
+    let den = 1;
+    for (let j = 0; j < xs.length; j++) {
+      if (j === i) continue;
+      num = gfMul(num, xs[j]);
+      den = gfMul(den, xs[j] ^ xi);
+    }
+    return gfDiv(num, den);
+  });
+
+  const secret = new Uint8Array(length);
+  for (let b = 0; b < length; b++) {
+    let y = 0;
+    for (let i = 0; i < shares.length; i++) {
+      y ^= gfMul(shares[i][b + 1], basis[i]);
+    }
+    secret[b] = y;
+  }
+  return secret;
+}
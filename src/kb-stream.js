@@ -0,0 +1,334 @@
+/**
+ * kb-stream.js - Segmented (STREAM) payload encryption for Keybearer
+ *
+ * The payload is cut into fixed-size segments, each sealed separately with the
+ * container's AEAD cipher. Segment nonces are built from a random prefix, the segment
+ * counter and a final-segment flag (Hoang, Reyhanitabar, Rogaway and Vizár's
+ * STREAM construction), so reordered, dropped or truncated segments fail
+ * authentication. Only one segment is held in memory at a time.
+ */
+
+import { decryptAEAD, encodeBase64, encryptAEAD, getCipher, getRandomBytes } from './kb-noble.js';
+import { PayloadAuthError } from './kb-errors.js';
+
+export const DEFAULT_SEGMENT_SIZE = 65536;
+export const TAG_LENGTH = 16;
+export const NONCE_SUFFIX_LENGTH = 5; // 4-byte counter + 1-byte final flag
+
+/**
+ * Generate a random nonce prefix for a new segmented payload
+ *
+ * @param {string} mode - Cipher mode; the prefix fills its nonce up to the counter and flag
+ */
+export function makeNoncePrefix(mode) {
+  return getRandomBytes(getCipher(mode).nonceLength - NONCE_SUFFIX_LENGTH);
+}
+
+/**
+ * Build the nonce for one segment
+ *
+ * @param {Uint8Array} prefix - Per-payload random prefix
+ * @param {number} counter - Segment index, starting at 0
+ * @param {boolean} last - Whether this is the final segment
+ * @returns {Uint8Array} - Nonce of prefix length + 5 bytes
+ */
+export function segmentNonce(prefix, counter, last) {
+  if (counter > 0xFFFFFFFF) {
+    throw new Error('Too many segments');
+  }
+  const nonce = new Uint8Array(prefix.length + NONCE_SUFFIX_LENGTH);
+  nonce.set(prefix, 0);
+  new DataView(nonce.buffer).setUint32(prefix.length, counter, false);
+  nonce[prefix.length + 4] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Queue of byte chunks that can be consumed in arbitrary sizes
+ */
+function ByteQueue() {
+  this.chunks = [];
+  this.length = 0;
+}
+
+ByteQueue.prototype.push = function(chunk) {
+  if (chunk.length > 0) {
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+  }
+};
+
+ByteQueue.prototype.take = function(n) {
+  const out = new Uint8Array(n);
+  let offset = 0;
+  while (offset < n) {
+    const head = this.chunks[0];
+    const needed = n - offset;
+    if (head.length <= needed) {
+      out.set(head, offset);
+      offset += head.length;
+      this.chunks.shift();
+    } else {
+      out.set(head.subarray(0, needed), offset);
+      this.chunks[0] = head.subarray(needed);
+      offset += needed;
+    }
+  }
+  this.length -= n;
+  return out;
+};
+
+/**
+ * TransformStream that encrypts plaintext bytes into sealed segments
+ *
+ * A full segment is only sealed once more input arrives, so that the final
+ * segment (which may be short or empty) can carry the final flag.
+ *
+ * @param {string} mode - Cipher mode from kb-noble CIPHERS
+ * @param {Uint8Array} key - 256-bit payload key
+ * @param {Uint8Array} prefix - Nonce prefix from makeNoncePrefix()
+ * @param {Uint8Array} aad - Associated data bound to every segment
+ * @param {number} segmentSize - Plaintext bytes per segment
+ * @param {Function} onSegment - Optional callback(plaintextBytesDone) after each segment
+ * @returns {TransformStream}
+ */
+export function encryptTransform(mode, key, prefix, aad, segmentSize, onSegment) {
+  const queue = new ByteQueue();
+  let counter = 0;
+  let done = 0;
+  const seal = function(controller, segment, last) {
+    const nonce = segmentNonce(prefix, counter++, last);
+    controller.enqueue(encryptAEAD(mode, key, segment, nonce, aad).ciphertext);
+    done += segment.length;
+    if (onSegment) onSegment(done);
+  };
+
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      queue.push(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk));
+      while (queue.length > segmentSize) {
+        seal(controller, queue.take(segmentSize), false);
+      }
+    },
+    flush: function(controller) {
+      seal(controller, queue.take(queue.length), true);
+    }
+  });
+}
+
+/**
+ * TransformStream that decrypts sealed segments back into plaintext bytes
+ *
+ * Errors the stream if any segment fails authentication, or if the input ends
+ * without a final segment (truncation).
+ *
+ * @param {string} mode - Cipher mode from kb-noble CIPHERS
+ * @param {Uint8Array} key - 256-bit payload key
+ * @param {Uint8Array} prefix - Nonce prefix stored in the container
+ * @param {Uint8Array} aad - Associated data bound to every segment
+ * @param {number} segmentSize - Plaintext bytes per segment
+ * @param {Function} onSegment - Optional callback(ciphertextBytesDone) after each segment
+ * @returns {TransformStream}
+ */
+export function decryptTransform(mode, key, prefix, aad, segmentSize, onSegment) {
+  const queue = new ByteQueue();
+  const sealedSize = segmentSize + TAG_LENGTH;
+  let counter = 0;
+  let done = 0;
+  const open = function(controller, segment, last) {
+    const nonce = segmentNonce(prefix, counter++, last);
+    let plaintext;
+    try {
+      plaintext = decryptAEAD(mode, key, segment, nonce, aad);
+    } catch (err) {
+      throw new PayloadAuthError('Payload segment ' + (counter - 1) + ' failed authentication' +
+        (last ? ' (truncated or corrupted)' : ''));
+    }
+    controller.enqueue(plaintext);
+    done += segment.length;
+    if (onSegment) onSegment(done);
+  };
+
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      queue.push(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk));
+      while (queue.length > sealedSize) {
+        open(controller, queue.take(sealedSize), false);
+      }
+    },
+    flush: function(controller) {
+      if (queue.length < TAG_LENGTH) {
+        throw new PayloadAuthError('Payload is truncated');
+      }
+      open(controller, queue.take(queue.length), true);
+    }
+  });
+}
+
+/**
+ * Encrypt an in-memory plaintext into concatenated segments
+ */
+export function encryptSegmented(mode, key, plaintext, prefix, aad, segmentSize) {
+  const count = Math.max(1, Math.ceil(plaintext.length / segmentSize));
+  const out = new Uint8Array(plaintext.length + count * TAG_LENGTH);
+  for (let i = 0; i < count; i++) {
+    const segment = plaintext.subarray(i * segmentSize, (i + 1) * segmentSize);
+    const nonce = segmentNonce(prefix, i, i === count - 1);
+    out.set(encryptAEAD(mode, key, segment, nonce, aad).ciphertext, i * (segmentSize + TAG_LENGTH));
+  }
+  return out;
+}
+
+/**
+ * Decrypt concatenated in-memory segments
+ *
+ * @throws {PayloadAuthError} - If any segment fails authentication or the payload is truncated
+ */
+export function decryptSegmented(mode, key, ciphertext, prefix, aad, segmentSize) {
+  const sealedSize = segmentSize + TAG_LENGTH;
+  const count = Math.max(1, Math.ceil(ciphertext.length / sealedSize));
+  if (ciphertext.length - (count - 1) * sealedSize < TAG_LENGTH) {
+    throw new PayloadAuthError('Payload is truncated');
+  }
+  const out = new Uint8Array(ciphertext.length - count * TAG_LENGTH);
+  for (let i = 0; i < count; i++) {
+    const segment = ciphertext.subarray(i * sealedSize, (i + 1) * sealedSize);
+    const nonce = segmentNonce(prefix, i, i === count - 1);
+    let plaintext;
+    try {
+      plaintext = decryptAEAD(mode, key, segment, nonce, aad);
+    } catch (err) {
+      throw new PayloadAuthError('Payload segment ' + i + ' failed authentication');
+    }
+    out.set(plaintext, i * segmentSize);
+    plaintext.fill(0);
+  }
+  return out;
+}
+
+/**
+ * TransformStream that passes bytes through, reporting the running total
+ *
+ * @param {Function} onBytes - Callback(bytesSoFar) after each chunk
+ */
+export function countTransform(onBytes) {
+  let done = 0;
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      done += chunk.length;
+      onBytes(done);
+      controller.enqueue(chunk);
+    }
+  });
+}
+
+/**
+ * TransformStream that base64-encodes a byte stream into ASCII bytes
+ */
+export function base64EncodeTransform() {
+  let carry = new Uint8Array(0);
+  return new TransformStream({
+    transform: function(chunk, controller) {
+      const bytes = new Uint8Array(carry.length + chunk.length);
+      bytes.set(carry, 0);
+      bytes.set(chunk, carry.length);
+      const usable = bytes.length - (bytes.length % 3);
+      carry = bytes.slice(usable);
+      if (usable > 0) {
+        controller.enqueue(new TextEncoder().encode(encodeBase64(bytes.subarray(0, usable))));
+      }
+    },
+    flush: function(controller) {
+      if (carry.length > 0) {
+        controller.enqueue(new TextEncoder().encode(encodeBase64(carry)));
+      }
+    }
+  });
+}
+
+/**
+ * Get a ReadableStream of bytes from a Blob, ReadableStream or Uint8Array
+ */
+export function toByteStream(source) {
+  if (source instanceof ReadableStream) {
+    return source;
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return source.stream();
+  }
+  const bytes = new Uint8Array(source);
+  return new ReadableStream({
+    start: function(controller) {
+      // Hand out bounded pieces so downstream transforms see realistic chunks
+      for (let i = 0; i < bytes.length; i += DEFAULT_SEGMENT_SIZE) {
+        controller.enqueue(bytes.subarray(i, i + DEFAULT_SEGMENT_SIZE));
+      }
+      controller.close();
+    }
+  });
+}
+
+/**
+ * ReadableStream of a prefix, then every chunk of a source stream, then an optional suffix
+ *
+ * The source is read on demand, so it is never held in memory as a whole.
+ *
+ * @param {Uint8Array} prefix
+ * @param {ReadableStream} source
+ * @param {Uint8Array} suffix - Optional
+ * @returns {ReadableStream}
+ */
+export function wrapStream(prefix, source, suffix) {
+  const reader = source.getReader();
+  let started = false;
+  return new ReadableStream({
+    pull: function(controller) {
+      if (!started) {
+        started = true;
+        controller.enqueue(prefix);
+        return;
+      }
+      return reader.read().then(function(result) {
+        if (result.done) {
+          if (suffix) controller.enqueue(suffix);
+          controller.close();
+        } else {
+          controller.enqueue(result.value);
+        }
+      });
+    },
+    cancel: function(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
+
+// Chunks collected before streamToBlob() folds them into a Blob (16 MiB of segments)
+const BLOB_FOLD_CHUNKS = 256;
+
+/**
+ * Read a byte stream into a Blob
+ *
+ * Chunks are folded into an intermediate Blob every BLOB_FOLD_CHUNKS, so they
+ * do not pile up as JS arrays: browsers keep Blob data outside the JS heap and
+ * spill large Blobs to disk, and nest Blobs without copying them.
+ *
+ * @param {ReadableStream} readable
+ * @param {string} type - MIME type of the Blob
+ * @param {AbortSignal} signal - Optional; cancels the stream and rejects with the signal's reason
+ * @returns {Promise<Blob>}
+ */
+export function streamToBlob(readable, type, signal) {
+  let parts = [];
+  const sink = new WritableStream({
+    write: function(chunk) {
+      parts.push(chunk);
+      if (parts.length > BLOB_FOLD_CHUNKS) {
+        parts = [new Blob(parts)];
+      }
+    }
+  });
+  return readable.pipeTo(sink, signal ? { signal: signal } : {}).then(function() {
+    return new Blob(parts, { type: type || '' });
+  });
+}
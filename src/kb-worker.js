@@ -1,14 +1,75 @@
 /**
- * kb-worker.js - Web Worker for Keybearer encryption operations
+ * kb-worker.js - Web Worker for Keybearer encryption and decryption
  *
- * Handles encryption in a separate thread to avoid blocking the UI
+ * Handles encryption and decryption in a separate thread to avoid blocking the UI
  */
 
-import keybearer from './kb.js';
+import keybearer, { createKeybearer } from './kb.js';
+import { createKeyPool } from './kb-pool.js';
 
 // Initialize entropy for the worker
 // (In v2, crypto.getRandomValues() is always available, no seeding needed)
 
+/**
+ * Steps run by the worker itself rather than by a keybearer function
+ *
+ * Each returns the reply, or a Promise of it.
+ */
+const tasks = {
+  /**
+   * Derive encryption keys in a pool of workers, one per core (see kb-pool.js)
+   *
+   * Browsers without nested workers keep deriving keys in this worker.
+   */
+  useKeyPool: function(size) {
+    if (typeof Worker !== 'undefined') {
+      keybearer.setKeyPool(createKeyPool({ size: size }));
+    }
+  },
+
+  /**
+   * Load SJCL, which only v1 (AES-CCM/OCB2) files need
+   *
+   * Worker scripts do not share the page's globals, so the page passes the
+   * URL of its own copy of sjcl.js.
+   */
+  useLegacy: function(url) {
+    importScripts(url);
+  },
+
+  /**
+   * Decrypt a container File with passcodes, the whole flow in the worker
+   *
+   * Runs in a session of its own, so the salt and keys made for encryption are
+   * left alone. Resolves to the keybearer.decrypt() result; tiered files
+   * resolve to {tiers: decryptTiers() results}. The plaintext stays a Blob,
+   * which is posted to the page without copying its contents.
+   */
+  decryptFile: function(file, passcodes, progress) {
+    const session = createKeybearer();
+    session.setWordlist(keybearer.getWordlist());
+    return session.setCipherBlob(file).then(function() {
+      if (session.getTiers().length > 1) {
+        return session.decryptTiers(passcodes, progress).then(function(tiers) {
+          return { tiers: tiers };
+        });
+      }
+      return session.decrypt({ passcodes: passcodes, onProgress: progress });
+    });
+  }
+};
+
+/**
+ * Describe an error for the page: Error objects lose their class when posted
+ */
+function describeError(err) {
+  return {
+    name: err.name || 'Error',
+    message: err.message || String(err),
+    result: err.result
+  };
+}
+
 self.onmessage = function(event) {
   const data = event.data;
   const functionName = data.f;
@@ -17,16 +78,23 @@ self.onmessage = function(event) {
 
   // If function expects a callback, add progress reporter
   if (hasCallback) {
-    params.push(function(progress) {
-      self.postMessage({ f: functionName, c: progress });
+    params.push(function(progress, stage) {
+      self.postMessage({ f: functionName, c: progress, s: stage });
     });
   }
 
-  // Call the keybearer function
-  const result = keybearer[functionName].apply(keybearer, params);
-
-  // Send result back if not undefined
-  if (result !== undefined) {
-    self.postMessage({ f: functionName, r: result });
-  }
+  // Call the task or keybearer function, reporting failures instead of throwing
+  Promise.resolve().then(function() {
+    if (tasks[functionName]) {
+      return tasks[functionName].apply(null, params);
+    }
+    return keybearer[functionName].apply(keybearer, params);
+  }).then(function(value) {
+    // Send result back if not undefined (waiting for it if it is a Promise)
+    if (value !== undefined) {
+      self.postMessage({ f: functionName, r: value });
+    }
+  }).catch(function(err) {
+    self.postMessage({ f: functionName, e: describeError(err) });
+  });
 };
@@ -7,481 +7,2295 @@
 
 import * as noble from './kb-noble.js';
 import * as legacy from './kb-legacy.js';
+import * as shamir from './kb-shamir.js';
+import * as policy from './kb-policy.js';
+import * as header from './kb-header.js';
+import * as stream from './kb-stream.js';
+import * as container from './kb-container.js';
+import * as inner from './kb-inner.js';
+import * as padding from './kb-padding.js';
+import * as compress from './kb-compress.js';
+import * as bundle from './kb-bundle.js';
+import * as checksum from './kb-checksum.js';
+import { AbortError, HeaderAuthError, KeybearerError, PasscodeError, PayloadAuthError, StreamRequiredError } from './kb-errors.js';
 
-// Global keybearer object (IIFE export for browser compatibility)
-const keybearer = {
-  // Public settings
-  salt_length: 16, // in bytes (changed from SJCL words to bytes)
-  aes_key_strength: 32, // in bytes (256-bit key)
-  aes_cipher_mode: 'chacha20poly1305', // v2 default (v1 was 'ccm')
-  pbkdf2_iterations: 50000,
-
-  // Private state
-  _badngramlist: [],
-  _salt: null,
-  _plaintext: null, // Uint8Array of file to be encrypted
-  _cipherobj: null, // parsed encrypted data object
-  _passwords: [],
-  _keys: [], // Derived keys (Uint8Array arrays for v2, bitArrays for v1 compat)
-  _master: null, // Master encryption key
-  _filename: null,
-  _filetype: null,
-  _nPasswords: null,
-  _nToUnlock: null,
-  _lastMetadata: null,
-  _wordlist: [],
-
-  /**
-   * Load wordlist from URL
-   */
-  loadWordlist: function(url, field, callback) {
-    const startTime = Date.now();
-    const txtFile = new XMLHttpRequest();
-    txtFile.open('GET', url, true);
-    txtFile.onreadystatechange = function() {
-      if (txtFile.readyState === 4 && txtFile.status === 200) {
-        keybearer[field] = txtFile.responseText.split('\n');
-        const endTime = Date.now();
-        // No need to seed RNG - crypto.getRandomValues() is always ready
-        callback();
-      }
-    };
-    txtFile.send();
-  },
-
-  /**
-   * Generate password from wordlist
-   */
-  makePassword: function(length) {
-    const pwd = [];
-    const selections = noble.randomIntegers(keybearer._wordlist.length, length);
-    for (let i = 0; i < length; i++) {
-      pwd[i] = keybearer._wordlist[selections[i]];
+/**
+ * Throw an AbortError once the signal (if any) has been aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError(signal.reason);
+  }
+}
+
+/**
+ * Resolve on a later turn of the event loop, so that pending events (such as
+ * an abort) are handled first
+ */
+function nextTask() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 0);
+  });
+}
+
+/**
+ * Rejection handler that reports any failure after an abort as an AbortError
+ */
+function rethrowAborted(signal) {
+  return function(err) {
+    if (signal && signal.aborted && !(err instanceof AbortError)) {
+      throw new AbortError(signal.reason);
     }
+    throw err;
+  };
+}
+
+/**
+ * Create a Keybearer session
+ *
+ * Every session owns its settings and state (salt, derived keys, master key,
+ * plaintext and loaded container), so several encryptions or decryptions can
+ * run side by side in one page or process without overwriting each other.
+ *
+ * @param {Object} settings - Optional public settings to override, e.g. {kdf: 'argon2id'}
+ * @returns {Object} - A new session with the full keybearer API
+ * @throws {Error} - If settings name anything other than a public setting
+ */
+export function createKeybearer(settings) {
+  const keybearer = {
+    // Public settings
+    salt_length: 16, // in bytes (changed from SJCL words to bytes)
+    aes_key_strength: 32, // in bytes (256-bit key)
+    aes_cipher_mode: 'chacha20poly1305', // v2 default (v1 was 'ccm'); any mode in noble.CIPHERS
+    pbkdf2_iterations: 50000,
+    key_scheme: 'shamir', // 'shamir' (v3, one share per holder) or 'combinations' (v2, n choose k slots)
+    kdf: 'pbkdf2', // 'pbkdf2', 'argon2id' or 'scrypt'
+    argon2_params: { t: 3, m: 65536, p: 1 }, // passes, memory in KiB, lanes
+    scrypt_params: { N: 131072, r: 8, p: 1 },
+    segment_size: 65536, // plaintext bytes per payload segment (0 for a single AEAD message)
+    container_format: 'json', // 'json' (.kbr.json) or 'binary' (.kbr)
+    encrypt_metadata: false, // move file name, type, size and mtime into the payload
+    hidden_filename: 'encrypted', // outer file name when metadata is encrypted
+    padding: 'none', // length-hiding padding: 'none', 'padme', 'pow2' or 'fixed'
+    padding_size: 1048576, // bucket size for fixed padding
+    compression: 'none', // compress before encryption: 'none', 'gzip' or 'deflate'
+    decompression_limit: 1073741824, // most bytes a compressed payload may expand to
+    checksum_words: false, // end generated passcodes with a checksum word
+    passcode_verifiers: false, // store per-holder verifiers in v2 files, see verifyPasscode()
 
-    // Ensure no bad n-grams
-    const joined = pwd.join(' ');
-    for (let i = 0; i < keybearer._badngramlist.length; i++) {
-      if (joined.indexOf(keybearer._badngramlist[i]) !== -1) {
-        return keybearer.makePassword(length);
+    // Private state
+    _badngramlist: [],
+    _salt: null,
+    _plaintext: null, // Uint8Array of file to be encrypted
+    _plaintextBlob: null, // Blob of file to be encrypted as a stream
+    _cipherobj: null, // parsed encrypted data object
+    _cipherformat: null, // container format the loaded object was read from
+    _passwords: [],
+    _keys: [], // Derived keys (Uint8Array arrays for v2, bitArrays for v1 compat)
+    _policy: null, // Header form of the access policy _keys follow, null for k of n
+    _master: null, // Master encryption key
+    _filename: null,
+    _filetype: null,
+    _filesize: null, // only known from an encrypted inner header
+    _filemtime: null, // modification time, ms since the epoch
+    _bundle: null, // {blob, files} of the decrypted bundle opened by openBundle()
+    _tier: null, // {ti, tn} while encryptTiers() builds a tier
+    _checksummed: false, // every passcode last derived ends in a valid checksum word
+    _verifiers: null, // passcode verifiers for the keys last derived
+    _pool: null, // key derivation worker pool (kb-pool.js) for makeKeyCombinationsAsync()
+    _nPasswords: null,
+    _nToUnlock: null,
+    _lastMetadata: null,
+    _wordlist: [],
+
+    /**
+     * Load wordlist from URL
+     */
+    loadWordlist: function(url, field, callback) {
+      const startTime = Date.now();
+      const txtFile = new XMLHttpRequest();
+      txtFile.open('GET', url, true);
+      txtFile.onreadystatechange = function() {
+        if (txtFile.readyState === 4 && txtFile.status === 200) {
+          keybearer[field] = txtFile.responseText.split('\n');
+          const endTime = Date.now();
+          // No need to seed RNG - crypto.getRandomValues() is always ready
+          callback();
+        }
+      };
+      txtFile.send();
+    },
+
+    /**
+     * Generate password from wordlist
+     *
+     * @param {number} length - Number of random words
+     * @param {boolean} withChecksum - Append a checksum word (see kb-checksum.js),
+     *   defaults to checksum_words
+     */
+    makePassword: function(length, withChecksum) {
+      if (withChecksum === undefined) withChecksum = keybearer.checksum_words;
+      const pwd = [];
+      const selections = noble.randomIntegers(keybearer._wordlist.length, length);
+      for (let i = 0; i < length; i++) {
+        pwd[i] = keybearer._wordlist[selections[i]];
       }
-    }
-    return joined;
-  },
-
-  /**
-   * Generate array of random integers
-   */
-  randto: function(end, num) {
-    return noble.randomIntegers(end, num);
-  },
-
-  /**
-   * Normalize string (trim and collapse whitespace)
-   */
-  normalizeString: function(string) {
-    return string.replace(/\s+/g, ' ').replace(/(^\s|\s$)/g, '');
-  },
-
-  /**
-   * Generate salt
-   */
-  makeSalt: function() {
-    keybearer._salt = noble.getRandomBytes(keybearer.salt_length);
-  },
-
-  /**
-   * Derive key from password using PBKDF2-SHA256
-   */
-  makeKeyFromPassword: function(password) {
-    // For legacy decryption, use SJCL if available and salt is bitArray
-    if (typeof sjcl !== 'undefined' && Array.isArray(keybearer._salt)) {
-      return legacy.deriveKeyLegacy(
+
+      let joined = pwd.join(' ');
+      if (withChecksum && length > 0) {
+        joined = checksum.appendChecksum(joined, keybearer._wordlist);
+      }
+      // Ensure no bad n-grams
+      for (let i = 0; i < keybearer._badngramlist.length; i++) {
+        if (joined.indexOf(keybearer._badngramlist[i]) !== -1) {
+          return keybearer.makePassword(length, withChecksum);
+        }
+      }
+      return joined;
+    },
+
+    /**
+     * Whether every passcode ends in a valid checksum word
+     */
+    hasChecksums: function(passcodes) {
+      return keybearer._wordlist.length > 0 && passcodes.length > 0 && passcodes.every(function(p) {
+        return checksum.hasValidChecksum(p, keybearer._wordlist);
+      });
+    },
+
+    /**
+     * Check a passcode's checksum word and locate a mistyped word, without any key derivation
+     *
+     * @returns {Object} - {valid, unknown, suggestions}, see checksum.locateTypos()
+     */
+    checkPasscodeChecksum: function(passcode) {
+      return checksum.locateTypos(keybearer.normalizeString(passcode), keybearer._wordlist);
+    },
+
+    /**
+     * Whether the loaded container's passcodes carry checksum words that can be checked here
+     */
+    hasPasscodeChecksums: function() {
+      return !!(keybearer._cipherobj && keybearer._cipherobj.pck) && keybearer._wordlist.length > 0;
+    },
+
+    /**
+     * Indices of the passcodes whose checksum word is wrong (none unless hasPasscodeChecksums())
+     */
+    findMistyped: function(passcodes, fields) {
+      if (!keybearer.hasPasscodeChecksums()) return [];
+      return fields.filter(function(i) {
+        return !checksum.hasValidChecksum(passcodes[i], keybearer._wordlist);
+      });
+    },
+
+    /**
+     * Generate array of random integers
+     */
+    randto: function(end, num) {
+      return noble.randomIntegers(end, num);
+    },
+
+    /**
+     * Normalize string (trim and collapse whitespace)
+     */
+    normalizeString: function(string) {
+      return string.replace(/\s+/g, ' ').replace(/(^\s|\s$)/g, '');
+    },
+
+    /**
+     * Generate salt
+     */
+    makeSalt: function() {
+      keybearer._salt = noble.getRandomBytes(keybearer.salt_length);
+    },
+
+    /**
+     * Generate salt if the current one belongs to the loaded container, so a
+     * new container never takes over its salt, key scheme or KDF
+     */
+    ensureNewSalt: function() {
+      if (keybearer.getSaltContainer()) {
+        keybearer.makeSalt();
+      }
+    },
+
+    /**
+     * Derive key from password using the selected KDF (PBKDF2-SHA256 by default)
+     */
+    makeKeyFromPassword: function(password) {
+      // For legacy decryption, use SJCL if available and salt is bitArray
+      if (typeof sjcl !== 'undefined' && Array.isArray(keybearer._salt)) {
+        return legacy.deriveKeyLegacy(
+          password,
+          keybearer._salt,
+          keybearer.getDerivationKDF().c,
+          keybearer.aes_key_strength * 8 // Convert bytes to bits
+        );
+      }
+      // For v2, use Noble
+      return noble.deriveKey(
         password,
         keybearer._salt,
-        keybearer.pbkdf2_iterations,
-        keybearer.aes_key_strength * 8 // Convert bytes to bits
+        keybearer.getDerivationKDF(),
+        keybearer.aes_key_strength
       );
-    }
-    // For v2, use Noble
-    return noble.deriveKeyFromPassword(
-      password,
-      keybearer._salt,
-      keybearer.pbkdf2_iterations,
-      keybearer.aes_key_strength
-    );
-  },
-
-  /**
-   * Generate all password combinations (n choose k)
-   */
-  makeCombinedPasswords: function(passwords, nToUnlock) {
-    keybearer._nPasswords = passwords.length;
-    keybearer._nToUnlock = nToUnlock;
-
-    const combine = function(passwords, output, prefix, levels_left, start) {
-      if (levels_left <= 0) {
-        output.push(prefix.replace(/ /, ''));
-      } else {
-        for (let i = start; i < passwords.length; i++) {
-          combine(passwords, output, [prefix, passwords[i]].join(' '), levels_left - 1, i + 1);
+    },
+
+    /**
+     * Derive key from password like makeKeyFromPassword(), on a later turn of the event loop
+     *
+     * Events queued before the derivation (e.g. a click on a cancel button)
+     * are handled first. PBKDF2 goes through WebCrypto where available, for v1
+     * files too, and gives the same keys as the pure-JS version; other KDFs run
+     * in one piece on this thread.
+     *
+     * @param {string} password
+     * @param {AbortSignal} signal - Optional; checked just before the derivation
+     * @returns {Promise<Uint8Array|Array>} - Key (a bitArray for v1 files); rejects
+     *   with AbortError if the signal was aborted
+     */
+    makeKeyFromPasswordAsync: function(password, signal) {
+      return nextTask().then(function() {
+        throwIfAborted(signal);
+        if (typeof sjcl !== 'undefined' && Array.isArray(keybearer._salt)) {
+          return noble.deriveKeyFromPasswordAsync(
+            password,
+            legacy.bitArrayToBytes(keybearer._salt),
+            keybearer.getDerivationKDF().c,
+            keybearer.aes_key_strength
+          ).then(legacy.bytesToBitArray);
         }
+        return noble.deriveKeyAsync(
+          password,
+          keybearer._salt,
+          keybearer.getDerivationKDF(),
+          keybearer.aes_key_strength
+        );
+      });
+    },
+
+    /**
+     * Describe the selected padding scheme as stored in the container, or undefined for none
+     */
+    getPaddingObject: function() {
+      switch (keybearer.padding) {
+        case 'padme':
+        case 'pow2':
+          return { name: keybearer.padding };
+        case 'fixed':
+          return { name: 'fixed', size: keybearer.padding_size };
+        default:
+          return undefined;
       }
-    };
+    },
 
-    const combined = [];
-    for (let i = 0; i < passwords.length; i++) {
-      passwords[i] = keybearer.normalizeString(passwords[i]);
-    }
-    passwords.sort();
-    combine(passwords, combined, null, nToUnlock, 0);
-    return combined;
-  },
-
-  /**
-   * Generate all key combinations with progress callback
-   */
-  makeKeyCombinations: function(passwords, nToUnlock, callback) {
-    callback = callback || function(x) {};
-    keybearer._keys = [];
-    const combinations = keybearer.makeCombinedPasswords(passwords, nToUnlock);
-    callback(0);
-
-    for (let i = 0; i < combinations.length; i++) {
-      keybearer._keys.push(keybearer.makeKeyFromPassword(combinations[i]));
-      callback((i + 1) / combinations.length);
-    }
-    callback(1);
-    return keybearer._keys;
-  },
-
-  /**
-   * Generate master encryption key
-   */
-  makeAESKey: function() {
-    keybearer._master = noble.getRandomBytes(keybearer.aes_key_strength);
-  },
-
-  /**
-   * Create metadata object for encrypted file
-   */
-  makeMetadataObject: function() {
-    const nonce = noble.getRandomBytes(12); // ChaCha20-Poly1305 uses 96-bit nonce
-    return {
-      adata: '',
-      iter: keybearer.pbkdf2_iterations,
-      mode: keybearer.aes_cipher_mode,
-      cipher: 'chacha20',
-      ts: 128, // tag size (bits)
-      ks: keybearer.aes_key_strength * 8, // key size in bits
-      salt: keybearer._salt,
-      iv: nonce,
-      v: 2, // Version 2
-      ct: null,
-      fn: keybearer._filename,
-      ft: keybearer._filetype,
-      nkeys: keybearer._nPasswords,
-      nunlock: keybearer._nToUnlock
-    };
-  },
-
-  /**
-   * Decrypt master key from encrypted key list
-   */
-  decryptKeys: function() {
-    // Check if legacy format
-    if (typeof sjcl !== 'undefined' && legacy.isLegacyFormat(keybearer._cipherobj)) {
-      return keybearer.decryptKeysLegacy();
-    }
+    /**
+     * Describe the selected KDF and its parameters, as stored in the container
+     */
+    getKDFObject: function() {
+      switch (keybearer.kdf) {
+        case 'argon2id':
+          return {
+            name: 'argon2id',
+            t: keybearer.argon2_params.t,
+            m: keybearer.argon2_params.m,
+            p: keybearer.argon2_params.p
+          };
+        case 'scrypt':
+          return {
+            name: 'scrypt',
+            N: keybearer.scrypt_params.N,
+            r: keybearer.scrypt_params.r,
+            p: keybearer.scrypt_params.p
+          };
+        default:
+          return { name: 'pbkdf2', c: Number(keybearer.pbkdf2_iterations) };
+      }
+    },
+
+    /**
+     * The loaded container if the current salt is its own, i.e. keys derived
+     * now are for opening it; null once makeSalt() starts a new container
+     */
+    getSaltContainer: function() {
+      const obj = keybearer._cipherobj;
+      return obj && obj.salt === keybearer._salt ? obj : null;
+    },
+
+    /**
+     * Key scheme to derive keys for: the loaded container's (from its version)
+     * while its salt is in use, else key_scheme
+     */
+    getKeyScheme: function() {
+      const obj = keybearer.getSaltContainer();
+      if (obj) {
+        return obj.v === 3 ? 'shamir' : 'combinations';
+      }
+      return keybearer.key_scheme;
+    },
+
+    /**
+     * KDF to derive keys with: the loaded container's while its salt is in use,
+     * else the selected one from getKDFObject()
+     */
+    getDerivationKDF: function() {
+      const obj = keybearer.getSaltContainer();
+      if (obj) {
+        // Files without a kdf field were always PBKDF2
+        return obj.kdf || { name: 'pbkdf2', c: obj.iter };
+      }
+      return keybearer.getKDFObject();
+    },
+
+    /**
+     * Generate all password combinations (n choose k)
+     *
+     * In Shamir mode every holder gets a key of their own, so the "combinations"
+     * are the individual passwords.
+     *
+     * @param {string} scheme - Optional key scheme, defaults to getKeyScheme()
+     */
+    makeCombinedPasswords: function(passwords, nToUnlock, scheme) {
+      scheme = scheme || keybearer.getKeyScheme();
+      keybearer._nPasswords = passwords.length;
+      keybearer._nToUnlock = nToUnlock;
+
+      const combine = function(passwords, output, prefix, levels_left, start) {
+        if (levels_left <= 0) {
+          output.push(prefix.replace(/ /, ''));
+        } else {
+          for (let i = start; i < passwords.length; i++) {
+            combine(passwords, output, [prefix, passwords[i]].join(' '), levels_left - 1, i + 1);
+          }
+        }
+      };
+
+      const combined = [];
+      for (let i = 0; i < passwords.length; i++) {
+        passwords[i] = keybearer.normalizeString(passwords[i]);
+      }
+      passwords.sort();
+      keybearer._checksummed = keybearer.hasChecksums(passwords);
+      combine(passwords, combined, null, scheme === 'shamir' ? 1 : nToUnlock, 0);
+      return combined;
+    },
+
+    /**
+     * Generate all key combinations with progress callback
+     *
+     * @param {string} scheme - Optional key scheme, defaults to getKeyScheme()
+     */
+    makeKeyCombinations: function(passwords, nToUnlock, callback, scheme) {
+      callback = callback || function(x) {};
+      const secrets = keybearer.getKeySecrets(passwords, nToUnlock, scheme);
+      callback(0);
+      const keys = secrets.map(function(secret, i) {
+        const key = keybearer.makeKeyFromPassword(secret);
+        callback((i + 1) / secrets.length);
+        return key;
+      });
+      callback(1);
+      return keybearer.setDerivedKeys(keys, secrets.nKeys);
+    },
+
+    /**
+     * Generate all key combinations like makeKeyCombinations(), one derivation per event loop turn
+     *
+     * With a pool set by setKeyPool(), the keys are derived in parallel instead;
+     * they come out the same either way.
+     *
+     * @param {AbortSignal} signal - Optional; checked before each derivation
+     * @returns {Promise<Array<Uint8Array>>} - Rejects with AbortError once the signal is aborted
+     */
+    makeKeyCombinationsAsync: function(passwords, nToUnlock, callback, signal) {
+      callback = callback || function(x) {};
+      const secrets = keybearer.getKeySecrets(passwords, nToUnlock);
+      if (keybearer._pool) {
+        callback(0);
+        return keybearer._pool.deriveKeys(
+          secrets,
+          keybearer._salt,
+          keybearer.getDerivationKDF(),
+          keybearer.aes_key_strength,
+          callback,
+          signal
+        ).then(function(keys) {
+          callback(1);
+          return keybearer.setDerivedKeys(keys, secrets.nKeys);
+        });
+      }
+      const keys = [];
+      const next = function() {
+        if (keys.length === secrets.length) {
+          callback(1);
+          return keybearer.setDerivedKeys(keys, secrets.nKeys);
+        }
+        throwIfAborted(signal);
+        return keybearer.makeKeyFromPasswordAsync(secrets[keys.length], signal).then(function(key) {
+          keys.push(key);
+          callback(keys.length / secrets.length);
+          return next();
+        });
+      };
+      return Promise.resolve().then(function() {
+        callback(0);
+        return next();
+      });
+    },
+
+    /**
+     * Passcode strings to derive keys from when encrypting with passwords
+     *
+     * The nKeys key combinations come first, then (with passcode_verifiers)
+     * one passcode per holder for its verifier.
+     *
+     * @param {string} scheme - Optional key scheme, defaults to getKeyScheme()
+     * @returns {Array<string>} - With an nKeys property
+     */
+    getKeySecrets: function(passwords, nToUnlock, scheme) {
+      scheme = scheme || keybearer.getKeyScheme();
+      keybearer._keys = [];
+      keybearer._policy = null;
+      keybearer._verifiers = null;
+      const combinations = keybearer.makeCombinedPasswords(passwords, nToUnlock, scheme);
+      // Where a slot belongs to a single passcode, that slot already checks it
+      const holders = keybearer.passcode_verifiers && scheme !== 'shamir' && nToUnlock > 1 ?
+        passwords : [];
+      const secrets = combinations.concat(holders);
+      secrets.nKeys = combinations.length;
+      return secrets;
+    },
+
+    /**
+     * Store the keys derived from getKeySecrets(), turning the holders' keys into verifiers
+     */
+    setDerivedKeys: function(keys, nKeys) {
+      keybearer._keys = keys.slice(0, nKeys);
+      if (keys.length > nKeys) {
+        keybearer._verifiers = keys.slice(nKeys).map(function(key) {
+          return noble.passcodeVerifier(key, keybearer._salt);
+        });
+        keybearer.shuffle(keybearer._verifiers);
+      }
+      return keybearer._keys;
+    },
+
+    /**
+     * Derive one key per holder of an access policy (v3 only)
+     *
+     * @param {Object} policyDef - {threshold, holders}, see kb-policy.js; holders
+     *   may be nested groups {name, threshold, holders}
+     * @param {Function} callback - Optional progress callback(fraction)
+     */
+    makePolicyKeys: function(policyDef, callback) {
+      callback = callback || function(x) {};
+      if (keybearer.key_scheme !== 'shamir') {
+        throw new Error('Access policies need the shamir key scheme');
+      }
+      const pol = policy.policyHeader(policyDef);
+      const holders = policy.policyLeaves(policyDef);
+      keybearer._keys = [];
+      keybearer._verifiers = null;
+      keybearer._checksummed = keybearer.hasChecksums(holders.map(function(holder) {
+        return keybearer.normalizeString(holder.passcode);
+      }));
+      callback(0);
+      for (let i = 0; i < holders.length; i++) {
+        const passcode = keybearer.normalizeString(holders[i].passcode);
+        keybearer._keys.push(keybearer.makeKeyFromPassword(passcode));
+        callback((i + 1) / holders.length);
+      }
+      callback(1);
+      keybearer._policy = pol;
+      keybearer._nPasswords = holders.length;
+      keybearer._nToUnlock = pol.t;
+      return keybearer._keys;
+    },
+
+    /**
+     * Generate master encryption key
+     */
+    makeAESKey: function() {
+      keybearer._master = noble.getRandomBytes(keybearer.aes_key_strength);
+    },
+
+    /**
+     * Create metadata object for encrypted file
+     */
+    makeMetadataObject: function() {
+      const mode = keybearer.aes_cipher_mode;
+      const cipher = noble.getCipher(mode);
+      const segmented = keybearer.segment_size > 0;
+      // Segmented payloads store only the STREAM nonce prefix
+      const nonce = segmented ? stream.makeNoncePrefix(mode) : noble.getRandomBytes(cipher.nonceLength);
+      // What the keys were derived for: the settings, unless the salt is a loaded file's
+      const kdf = keybearer.getDerivationKDF();
+      return {
+        adata: '',
+        iter: kdf.name === 'pbkdf2' ? kdf.c : keybearer.pbkdf2_iterations,
+        mode: mode,
+        cipher: cipher.cipher,
+        ts: 128, // tag size (bits)
+        ks: keybearer.aes_key_strength * 8, // key size in bits
+        seg: segmented ? keybearer.segment_size : undefined, // plaintext bytes per segment
+        cmp: keybearer.compression !== 'none' ? keybearer.compression : undefined, // compression format
+        pad: keybearer.getPaddingObject(), // length-hiding padding scheme
+        kdf: kdf,
+        salt: keybearer._salt,
+        iv: nonce,
+        v: keybearer.getKeyScheme() === 'shamir' ? 3 : 2, // v3 stores Shamir shares, v2 n choose k slots
+        hv: header.HEADER_VERSION, // header is bound to the ciphertext as associated data
+        pc: noble.commitKey(keybearer._master, nonce, 'payload'), // master key commitment
+        ct: null,
+        ih: keybearer.encrypt_metadata ? 1 : undefined, // payload starts with an inner header
+        fn: keybearer.encrypt_metadata ? keybearer.hidden_filename : keybearer._filename,
+        ft: keybearer.encrypt_metadata ? 'application/octet-stream' : keybearer._filetype,
+        nkeys: keybearer._nPasswords,
+        nunlock: keybearer._nToUnlock, // threshold, in weight units when pol is set
+        pol: keybearer._policy || undefined,
+        pck: keybearer._checksummed ? 1 : undefined, // every passcode ends in a checksum word
+        pv: keybearer._verifiers || undefined, // passcode verifiers, in random order
+        tn: keybearer._tier ? keybearer._tier.tn : undefined, // number of tiers
+        ti: keybearer._tier ? keybearer._tier.ti : undefined // index of this tier
+      };
+    },
+
+    /**
+     * Decrypt master key from encrypted key list
+     */
+    decryptKeys: function() {
+      // Check if legacy format
+      if (typeof sjcl !== 'undefined' && legacy.isLegacyFormat(keybearer._cipherobj)) {
+        return keybearer.decryptKeysLegacy();
+      }
 
-    // V2 decryption using Noble
-    let success = false;
-    for (let i = 0; i < keybearer._keys.length; i++) {
-      for (let j = 0; j < keybearer._cipherobj.keys.length; j++) {
+      if (keybearer._cipherobj.v === 3) {
+        return keybearer.decryptKeysShamir();
+      }
+
+      // V2 decryption using Noble
+      const obj = keybearer._cipherobj;
+      const aad = keybearer.getSlotAAD(obj);
+      const index = keybearer.indexSlots(obj);
+      for (let i = 0; i < keybearer._keys.length; i++) {
+        const master = keybearer.openSlot(obj, index, keybearer._keys[i], aad);
+        if (master && keybearer.checkMasterCommitment(obj, master)) {
+          keybearer._master = master;
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Recover master key from Shamir shares (v3)
+     */
+    decryptKeysShamir: function() {
+      const obj = keybearer._cipherobj;
+      const aad = keybearer.getSlotAAD(obj);
+      const index = keybearer.indexSlots(obj);
+      const opened = [];
+      for (let i = 0; i < keybearer._keys.length; i++) {
+        const contents = keybearer.openSlot(obj, index, keybearer._keys[i], aad);
+        if (!contents) continue;
+        opened.push(contents);
+        const master = keybearer.recoverFromSlots(obj, opened);
+        if (master) {
+          if (!keybearer.checkMasterCommitment(obj, master)) {
+            return false;
+          }
+          keybearer._master = master;
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Combine opened v3 key slots into the master key
+     *
+     * @param {Object} obj - Container object
+     * @param {Array<Uint8Array>} opened - Opened slot contents, in any order
+     * @returns {Uint8Array|null} - Master key candidate, or null if the slots do not reach the threshold
+     */
+    recoverFromSlots: function(obj, opened) {
+      if (obj.pol) {
+        return policy.recoverPolicy(obj.pol, opened, obj.ks / 8);
+      }
+      // The same passcode entered twice gives the same share
+      const seen = {};
+      const shares = opened.filter(function(share) {
+        if (seen[share[0]]) return false;
+        seen[share[0]] = true;
+        return true;
+      });
+      return shares.length >= obj.nunlock ? shamir.combineShares(shares.slice(0, obj.nunlock)) : null;
+    },
+
+    /**
+     * Access policy of the loaded container (see kb-policy.js), or null for k of n
+     */
+    getPolicy: function() {
+      return keybearer._cipherobj.pol || null;
+    },
+
+    /**
+     * Check one holder's passcode, without a quorum
+     *
+     * A passcode that has a key slot of its own (v3 files, and v2 files that
+     * unlock with one passcode) is checked by opening that slot. Other v2 files
+     * need the verifiers stored with passcode_verifiers; a verifier is 2 bytes,
+     * so about one in 65536 wrong passcodes passes as well. Either way the check
+     * takes one key derivation. The loaded container is left as it is.
+     *
+     * @param {string|Uint8Array|null} json - Container JSON, binary .kbr bytes,
+     *   or null for the loaded container
+     * @param {string} passcode
+     * @returns {boolean}
+     * @throws {Error} - If the container cannot check single passcodes
+     */
+    verifyPasscode: function(json, passcode) {
+      let obj = keybearer._cipherobj;
+      if (json) {
+        if (typeof json !== 'string') {
+          json = container.binaryToJSON(new Uint8Array(json));
+        }
+        obj = JSON.parse(json);
+      }
+      if (legacy.isLegacyFormat(obj)) {
+        throw new Error('Legacy v1 containers cannot check single passcodes');
+      }
+      if (json) {
+        keybearer.decodeCipherObject(obj);
+      }
+      const ownSlots = obj.v === 3 || obj.nunlock === 1;
+      if (!ownSlots && !obj.pv) {
+        throw new Error('This container has no passcode verifiers');
+      }
+      const key = noble.deriveKey(
+        keybearer.normalizeString(passcode),
+        obj.salt,
+        obj.kdf || { name: 'pbkdf2', c: obj.iter },
+        obj.ks / 8
+      );
+      if (ownSlots) {
+        return keybearer.openSlot(obj, keybearer.indexSlots(obj), key, keybearer.getSlotAAD(obj)) !== null;
+      }
+      const verifier = noble.passcodeVerifier(key, obj.salt);
+      return obj.pv.some(function(v) { return noble.equalBytes(v, verifier); });
+    },
+
+    /**
+     * Tiers of the loaded container, the outer container first (just that one
+     * for untiered containers)
+     */
+    getTiers: function() {
+      const obj = keybearer._cipherobj;
+      return [obj].concat(obj.tiers || []);
+    },
+
+    /**
+     * Smallest number of passcodes that can unlock the loaded container (its
+     * lowest tier)
+     */
+    getMinPasscodes: function() {
+      const tiers = keybearer.getTiers();
+      return Math.min.apply(null, tiers.map(function(obj) {
+        return obj.pol ? policy.minHolders(obj.pol) : obj.nunlock;
+      }));
+    },
+
+    /**
+     * Open the key slot belonging to a derived key
+     *
+     * @param {Object} obj - Container object
+     * @param {Object|null} index - Lookup index from indexSlots()
+     * @param {Uint8Array} key - Derived key
+     * @param {Uint8Array} aad - Slot associated data from getSlotAAD()
+     * @returns {Uint8Array|null} - Slot contents (master key or share), or null if no slot opens
+     * @throws {HeaderAuthError} - If the key matches a slot's commitment tag but
+     *   the slot fails authentication: the tag does not cover the header, so
+     *   only an edited header (or slot) explains it
+     */
+    openSlot: function(obj, index, key, aad) {
+      const slots = keybearer.findSlots(obj, index, key);
+      for (let j = 0; j < slots.length; j++) {
+        if (!keybearer.checkSlotCommitment(obj, key, slots[j])) {
+          continue;
+        }
         try {
-          const keyiv = keybearer._cipherobj.keys[j];
-          keybearer._master = noble.decryptChaCha20Poly1305(
+          return noble.decryptAEAD(obj.mode, key, slots[j].key, slots[j].iv, aad);
+        } catch (err) {
+          if (obj.pc) {
+            throw new HeaderAuthError();
+          }
+          // This wasn't the right key, continue
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Index key slots by their lookup tag
+     *
+     * @returns {Object|null} - Base64 tag to list of slots, or null for containers without tags
+     */
+    indexSlots: function(obj) {
+      if (!obj.keys.length || !obj.keys.every(function(slot) { return slot.t; })) {
+        return null;
+      }
+      const index = {};
+      for (let i = 0; i < obj.keys.length; i++) {
+        const tag = noble.encodeBase64(obj.keys[i].t);
+        (index[tag] = index[tag] || []).push(obj.keys[i]);
+      }
+      return index;
+    },
+
+    /**
+     * Key slots a derived key may open: the one its lookup tag points to, or
+     * every slot when the container has no tags
+     */
+    findSlots: function(obj, index, key) {
+      if (!index) return obj.keys;
+      return index[noble.encodeBase64(noble.slotLookupTag(key, obj.salt))] || [];
+    },
+
+    /**
+     * Check a derived key against a key slot's commitment tag
+     *
+     * Containers without key commitment (no pc field) have no tags to check.
+     */
+    checkSlotCommitment: function(obj, key, slot) {
+      if (!obj.pc) return true;
+      return noble.equalBytes(slot.c, noble.commitKey(key, slot.iv, 'slot'));
+    },
+
+    /**
+     * Check a recovered master key against the payload commitment tag
+     */
+    checkMasterCommitment: function(obj, master) {
+      if (!obj.pc) return true;
+      return noble.equalBytes(obj.pc, noble.commitKey(master, obj.iv, 'payload'));
+    },
+
+    /**
+     * Recover the master key from every passcode entered, whatever their number
+     *
+     * Tries each k-subset of the entered passcodes until one unlocks, so a typo
+     * in one of more than k passcodes does not make decryption fail. In v3
+     * containers each passcode opens (or fails to open) its own slot, so wrong
+     * passcodes are found individually and the work grows linearly with the
+     * number of fields; in v2 and v1 containers every subset has to be derived
+     * and tried as a whole.
+     *
+     * @param {Array<string>} passcodes - Entered passcodes by field; empty fields are skipped
+     * @param {Function} callback - Optional progress callback(fraction) over key derivations
+     * @returns {Object} - {success, used: indices of the fields that unlocked,
+     *   rejected: indices of the fields that cannot be part of any unlocking subset,
+     *   mistyped: indices of the fields whose checksum word is wrong (skipped unopened),
+     *   groups: for policy containers, {name, have, need, open} per gate of the policy}
+     */
+    decryptKeysWithPasscodes: function(passcodes, callback) {
+      const search = keybearer.searchPasscodes(passcodes, callback);
+      let step = search.next();
+      while (!step.done) {
+        step = search.next(keybearer.makeKeyFromPassword(step.value));
+      }
+      return step.value;
+    },
+
+    /**
+     * Recover the master key from every passcode entered, without blocking
+     *
+     * Works like decryptKeysWithPasscodes(), deriving keys asynchronously and
+     * checking the signal before each derivation and before each slot is tried.
+     *
+     * @param {AbortSignal} signal - Optional
+     * @returns {Promise<Object>} - The decryptKeysWithPasscodes() result; rejects
+     *   with AbortError once the signal is aborted
+     */
+    decryptKeysWithPasscodesAsync: function(passcodes, callback, signal) {
+      const search = keybearer.searchPasscodes(passcodes, callback);
+      const next = function(key) {
+        throwIfAborted(signal);
+        const step = search.next(key);
+        if (step.done) {
+          return step.value;
+        }
+        throwIfAborted(signal);
+        return keybearer.makeKeyFromPasswordAsync(step.value, signal).then(next);
+      };
+      return Promise.resolve().then(function() {
+        return next();
+      });
+    },
+
+    /**
+     * The passcode search behind decryptKeysWithPasscodes()
+     *
+     * A generator, so that the same search can derive keys synchronously or
+     * not: it yields each passcode string whose key it needs and expects the
+     * derived key back from next(), then returns the result.
+     */
+    searchPasscodes: function*(passcodes, callback) {
+      callback = callback || function(x) {};
+      const obj = keybearer._cipherobj;
+      const k = obj.nunlock;
+      const filled = [];
+      const normalized = passcodes.map(function(p) { return keybearer.normalizeString(p || ''); });
+      for (let i = 0; i < normalized.length; i++) {
+        if (normalized[i].length > 0) filled.push(i);
+      }
+      // Passcodes with a wrong checksum word are left out before any key derivation
+      const mistyped = keybearer.findMistyped(normalized, filled);
+      const entered = filled.filter(function(i) { return mistyped.indexOf(i) === -1; });
+      const result = { success: false, used: [], rejected: filled.slice(), mistyped: mistyped };
+      if (entered.length < keybearer.getMinPasscodes()) {
+        return result;
+      }
+      callback(0);
+
+      if (obj.v === 3) {
+        // One key and one slot per passcode; find a minimal set that unlocks
+        const aad = keybearer.getSlotAAD(obj);
+        const index = keybearer.indexSlots(obj);
+        const opened = {};
+        for (let i = 0; i < entered.length; i++) {
+          const key = yield normalized[entered[i]];
+          const contents = keybearer.openSlot(obj, index, key, aad);
+          if (contents) opened[entered[i]] = contents;
+          callback((i + 1) / entered.length);
+        }
+        const valid = entered.filter(function(i) { return opened[i]; });
+        result.rejected = filled.filter(function(i) { return !opened[i]; });
+        if (obj.pol) {
+          result.groups = policy.policyStatus(obj.pol, valid.map(function(i) { return opened[i]; }), obj.ks / 8);
+        }
+        const unlocks = function(fields) {
+          const master = keybearer.recoverFromSlots(obj, fields.map(function(i) { return opened[i]; }));
+          return master && keybearer.checkMasterCommitment(obj, master) ? master : null;
+        };
+        // Adding holders never hurts, so if all valid ones fail no subset can succeed
+        let master = unlocks(valid);
+        if (!master) {
+          return result;
+        }
+        // Any k holders meet a plain threshold; otherwise drop holders, latest
+        // first, while the rest still unlock: one recovery per holder
+        let used = valid.slice(0, k);
+        const first = obj.pol ? null : unlocks(used);
+        if (first) {
+          master = first;
+        } else {
+          used = valid;
+          for (let i = valid.length - 1; i >= 0; i--) {
+            const rest = used.filter(function(field) { return field !== valid[i]; });
+            const recovered = unlocks(rest);
+            if (recovered) {
+              used = rest;
+              master = recovered;
+            }
+          }
+        }
+        keybearer._master = master;
+        result.success = true;
+        result.used = used;
+        return result;
+      }
+
+      // v2 and v1: one key per k-subset of passcodes
+      const subsets = keybearer.subsets(entered, k);
+      for (let s = 0; s < subsets.length; s++) {
+        const combined = subsets[s].map(function(i) { return normalized[i]; }).sort().join(' ');
+        keybearer._keys = [yield combined];
+        callback((s + 1) / subsets.length);
+        if (keybearer.decryptKeys()) {
+          result.success = true;
+          result.used = subsets[s];
+          result.rejected = mistyped;
+          callback(1);
+          return result;
+        }
+      }
+      return result;
+    },
+
+    /**
+     * All k-element subsets of an array, each in array order
+     */
+    subsets: function(arr, k) {
+      const out = [];
+      const pick = function(start, chosen) {
+        if (chosen.length === k) {
+          out.push(chosen.slice());
+          return;
+        }
+        for (let i = start; i < arr.length; i++) {
+          chosen.push(arr[i]);
+          pick(i + 1, chosen);
+          chosen.pop();
+        }
+      };
+      pick(0, []);
+      return out;
+    },
+
+    /**
+     * Decrypt master key using legacy SJCL (v1)
+     */
+    decryptKeysLegacy: function() {
+      let success = false;
+      for (let i = 0; i < keybearer._keys.length; i++) {
+        for (let j = 0; j < keybearer._cipherobj.keys.length; j++) {
+          const master = legacy.decryptKeyLegacy(
+            keybearer._cipherobj,
             keybearer._keys[i],
-            keyiv.key,
-            keyiv.iv,
-            new Uint8Array(0)
+            keybearer._cipherobj.keys[j]
+          );
+          if (master) {
+            keybearer._master = master;
+            success = true;
+            break;
+          }
+        }
+        if (success) break;
+      }
+      return success;
+    },
+
+    /**
+     * Decrypt ciphertext
+     */
+    decryptCiphertext: function() {
+      if (typeof Blob !== 'undefined' && keybearer._cipherobj.ct instanceof Blob) {
+        throw new StreamRequiredError('Payload was loaded from a Blob, use decryptCiphertextStream()');
+      }
+      // Check if legacy format
+      if (typeof sjcl !== 'undefined' && legacy.isLegacyFormat(keybearer._cipherobj)) {
+        keybearer._plaintext = legacy.decryptLegacy(keybearer._cipherobj, keybearer._master);
+      } else if (keybearer._cipherobj.seg) {
+        keybearer._plaintext = stream.decryptSegmented(
+          keybearer._cipherobj.mode,
+          keybearer._master,
+          keybearer._cipherobj.ct,
+          keybearer._cipherobj.iv,
+          keybearer.getPayloadAAD(keybearer._cipherobj),
+          keybearer._cipherobj.seg
+        );
+      } else {
+        // V2 decryption using Noble
+        try {
+          keybearer._plaintext = noble.decryptAEAD(
+            keybearer._cipherobj.mode,
+            keybearer._master,
+            keybearer._cipherobj.ct,
+            keybearer._cipherobj.iv,
+            keybearer.getPayloadAAD(keybearer._cipherobj)
           );
-          success = true;
-          break;
         } catch (err) {
-          // This wasn't the right key, continue
+          throw new PayloadAuthError();
         }
       }
-      if (success) break;
-    }
-    return success;
-  },
-
-  /**
-   * Decrypt master key using legacy SJCL (v1)
-   */
-  decryptKeysLegacy: function() {
-    let success = false;
-    for (let i = 0; i < keybearer._keys.length; i++) {
-      for (let j = 0; j < keybearer._cipherobj.keys.length; j++) {
-        const master = legacy.decryptKeyLegacy(
-          keybearer._cipherobj,
-          keybearer._keys[i],
-          keybearer._cipherobj.keys[j]
+      if (keybearer._cipherobj.pad) {
+        keybearer._plaintext = padding.unpadBytes(keybearer._plaintext);
+      }
+      if (keybearer._cipherobj.cmp) {
+        const packed = keybearer._plaintext;
+        try {
+          keybearer._plaintext = compress.decompressBytes(
+            packed,
+            keybearer._cipherobj.cmp,
+            keybearer.decompression_limit
+          );
+        } finally {
+          // The decrypted, still compressed buffer is not kept
+          new Uint8Array(packed.buffer).fill(0);
+        }
+      }
+      if (keybearer._cipherobj.ih) {
+        const header = inner.readInnerHeader(keybearer._plaintext);
+        if (!header) {
+          throw new Error('Payload ends inside its inner header');
+        }
+        keybearer.applyInnerMetadata(header.meta);
+        keybearer._plaintext = keybearer._plaintext.subarray(header.offset);
+      }
+    },
+
+    /**
+     * Check that the plaintext is in memory, before keys are derived for it
+     *
+     * @throws {StreamRequiredError} - If it was set with setPlaintextBlob() or setPlaintextFiles()
+     */
+    requirePlaintextBytes: function() {
+      if (keybearer._plaintext === null && keybearer._plaintextBlob !== null) {
+        throw new StreamRequiredError('The plaintext is a Blob or bundle, encrypt it with encrypt() or encryptWithPasswordsStream()');
+      }
+    },
+
+    /**
+     * Complete encryption process with passwords
+     *
+     * @throws {StreamRequiredError} - If the plaintext is a Blob or bundle
+     */
+    encryptWithPasswords: function(passwords, nUnlock, callback) {
+      keybearer.requirePlaintextBytes();
+      keybearer.ensureNewSalt();
+      keybearer.makeKeyCombinations(passwords, nUnlock, callback);
+      keybearer.makeAESKey();
+      return keybearer.encryptPlaintext(keybearer._plaintext);
+    },
+
+    /**
+     * Encrypt plaintext (always uses Noble crypto, with the selected AEAD cipher)
+     *
+     * @returns {string} - Container JSON
+     */
+    encryptPlaintext: function(pt) {
+      keybearer.makeCipherObject(pt);
+      return keybearer.getCipherJSON();
+    },
+
+    /**
+     * Encrypt plaintext into a new container object and load it
+     *
+     * @returns {Object} - The container object, as from setCipherObject()
+     */
+    makeCipherObject: function(pt) {
+      if (!pt) keybearer.requirePlaintextBytes();
+      const p = keybearer.makeMetadataObject();
+      let ptxt = pt || keybearer._plaintext;
+      keybearer._lastMetadata = p;
+      if (p.ih) {
+        const innerHeader = inner.encodeInnerHeader(keybearer.getInnerMetadata(ptxt.length));
+        const framed = new Uint8Array(innerHeader.length + ptxt.length);
+        framed.set(innerHeader, 0);
+        framed.set(ptxt, innerHeader.length);
+        ptxt = framed;
+      }
+      if (p.cmp) {
+        ptxt = compress.compressBytes(ptxt, p.cmp);
+      }
+      if (p.pad) {
+        ptxt = padding.padBytes(ptxt, p.pad);
+      }
+
+      // Encrypt file content with master key
+      if (p.seg) {
+        p.ct = stream.encryptSegmented(p.mode, keybearer._master, ptxt, p.iv, keybearer.getPayloadAAD(p), p.seg);
+      } else {
+        const result = noble.encryptAEAD(
+          p.mode,
+          keybearer._master,
+          ptxt,
+          p.iv,
+          keybearer.getPayloadAAD(p)
         );
-        if (master) {
-          keybearer._master = master;
-          success = true;
-          break;
+        p.ct = result.ciphertext;
+        p.iv = result.nonce;
+      }
+
+      keybearer._cipherobj = p;
+      keybearer.augmentWithEncryptedKeys(keybearer._cipherobj);
+      p.hd = header.headerDigest(p);
+      return p;
+    },
+
+    /**
+     * Complete encryption process with an access policy
+     *
+     * @param {Object} policyDef - {threshold, holders}, e.g. an executor of weight 2
+     *   and siblings of weight 1 with threshold 3, or groups such as
+     *   {threshold: 2, holders: [{name: 'family', threshold: 2, holders: [...]},
+     *   {name: 'attorneys', threshold: 1, holders: [...]}]}
+     * @returns {string} - Container JSON
+     * @throws {StreamRequiredError} - If the plaintext is a Blob or bundle
+     */
+    encryptWithPolicy: function(policyDef, callback) {
+      keybearer.requirePlaintextBytes();
+      keybearer.ensureNewSalt();
+      keybearer.makePolicyKeys(policyDef, callback);
+      keybearer.makeAESKey();
+      return keybearer.encryptPlaintext(keybearer._plaintext);
+    },
+
+    /**
+     * Complete encryption process for a tiered container
+     *
+     * Each tier carries its own payload, master key and key slots, and unlocks
+     * at its own threshold of the same passwords: e.g. a letter at 1 of 5,
+     * instructions at 3 of 5 and the full vault at 5 of 5. The tiers share the
+     * salt and KDF, so every password is derived only once.
+     *
+     * @param {Array<string>} passwords - One per holder
+     * @param {Array<Object>} tiers - {nunlock, data: ArrayBuffer|Uint8Array, fn, ft, mtime}
+     * @param {Function} callback - Optional progress callback(fraction)
+     * @returns {string} - Container JSON; the first tier is the outer container
+     *   and the others are listed in its tiers field
+     */
+    encryptTiers: function(passwords, tiers, callback) {
+      if (keybearer.key_scheme !== 'shamir') {
+        throw new Error('Tiered containers need the shamir key scheme');
+      }
+      if (!tiers.length) {
+        throw new Error('A tiered container needs at least one tier');
+      }
+      keybearer.ensureNewSalt();
+      keybearer.makeKeyCombinations(passwords, tiers[0].nunlock, callback);
+      let objs;
+      try {
+        objs = tiers.map(function(tier, i) {
+          if (!(tier.nunlock >= 1 && tier.nunlock <= keybearer._nPasswords)) {
+            throw new Error('Tier thresholds must be between 1 and the number of passwords');
+          }
+          keybearer._nToUnlock = tier.nunlock;
+          keybearer._tier = { ti: i, tn: tiers.length };
+          keybearer.setPlaintext(tier.data, tier.fn, tier.ft, tier.mtime);
+          keybearer.makeAESKey();
+          return keybearer.makeCipherObject(keybearer._plaintext);
+        });
+      } finally {
+        keybearer._tier = null;
+      }
+      objs[0].tiers = objs.slice(1);
+      keybearer._cipherobj = objs[0];
+      return keybearer.getCipherJSON();
+    },
+
+    /**
+     * Complete streaming encryption process with passwords
+     *
+     * Encrypts the Blob given to setPlaintextBlob() (or the in-memory plaintext)
+     * segment by segment. Progress is reported as callback(fraction) while keys
+     * are derived, then as callback(fraction, 'encrypt') per payload segment.
+     *
+     * @returns {Promise<Blob>} - The container, in container_format
+     */
+    encryptWithPasswordsStream: function(passwords, nUnlock, callback) {
+      callback = callback || function(x) {};
+      keybearer.ensureNewSalt();
+      return keybearer.makeKeyCombinationsAsync(passwords, nUnlock, callback).then(function() {
+        keybearer.makeAESKey();
+        return new Response(keybearer.getContainerStream(callback)).blob();
+      });
+    },
+
+    /**
+     * Encrypt the plaintext (Blob or in-memory) into a container stream
+     *
+     * Keys must already be derived and the master key generated.
+     *
+     * @param {Function} callback - Optional progress callback(fraction, 'encrypt') per payload segment
+     * @returns {ReadableStream} - The container, in container_format
+     */
+    getContainerStream: function(callback) {
+      const source = keybearer._plaintextBlob || keybearer._plaintext;
+      const ct = keybearer.encryptPlaintextStream(source, callback && function(fraction) {
+        callback(fraction, 'encrypt');
+      });
+      if (keybearer.container_format === 'binary') {
+        return keybearer.getCipherBinaryStream(ct);
+      }
+      return keybearer.getCipherJSONStream(ct);
+    },
+
+    /**
+     * Encrypt a file with passcodes
+     *
+     * Unlike encryptWithPasswordsStream(), keys are derived without blocking,
+     * a fresh salt is made, and the keys are wiped once the container is
+     * written. The signal is checked before each key derivation and while the
+     * payload is encrypted.
+     *
+     * @param {Object} options
+     * @param {Blob|ArrayBuffer|Uint8Array} options.file - Plaintext; a File's name and type are kept
+     * @param {Array<string>} options.passcodes - One per holder
+     * @param {number} options.threshold - Number of passcodes needed to decrypt
+     * @param {string} options.name - Optional file name, overriding the File's
+     * @param {string} options.type - Optional MIME type, overriding the File's
+     * @param {AbortSignal} options.signal - Optional
+     * @param {Function} options.onProgress - Optional callback(fraction) while keys are
+     *   derived, then callback(fraction, 'encrypt') per payload segment
+     * @returns {Promise<Blob>} - The container, in container_format; rejects with
+     *   AbortError once the signal is aborted
+     */
+    encrypt: function(options) {
+      const signal = options.signal;
+      const passcodes = options.passcodes || [];
+      return Promise.resolve().then(function() {
+        throwIfAborted(signal);
+        if (!(options.threshold >= 1 && options.threshold <= passcodes.length)) {
+          throw new RangeError('The threshold must be between 1 and the number of passcodes');
         }
+        const file = options.file;
+        const blob = typeof Blob !== 'undefined' && file instanceof Blob ? file : new Blob([file]);
+        keybearer._plaintext = null;
+        keybearer.setPlaintextBlob(blob, options.name || file.name, options.type || file.type);
+        keybearer.makeSalt();
+        return keybearer.makeKeyCombinationsAsync(passcodes.slice(), options.threshold, options.onProgress, signal);
+      }).then(function() {
+        throwIfAborted(signal);
+        keybearer.makeAESKey();
+        return stream.streamToBlob(keybearer.getContainerStream(options.onProgress), '', signal);
+      }).catch(rethrowAborted(signal)).finally(keybearer.wipeKeys);
+    },
+    /**
+     * Encrypt a Blob, ReadableStream or Uint8Array segment by segment
+     *
+     * Builds the container metadata and key slots like encryptPlaintext(), but
+     * returns the payload ciphertext as a ReadableStream instead of holding it in
+     * memory. Keys must already be derived and the master key generated.
+     *
+     * @param {Blob|ReadableStream|Uint8Array} source - Plaintext
+     * @param {Function} callback - Optional progress callback(fraction), needs a Blob or Uint8Array source
+     * @returns {ReadableStream} - Payload ciphertext (the container's ct)
+     */
+    encryptPlaintextStream: function(source, callback) {
+      const p = keybearer.makeMetadataObject();
+      if (!p.seg) {
+        p.seg = stream.DEFAULT_SEGMENT_SIZE;
+        p.iv = stream.makeNoncePrefix(p.mode);
+        p.pc = noble.commitKey(keybearer._master, p.iv, 'payload');
       }
-      if (success) break;
-    }
-    return success;
-  },
-
-  /**
-   * Decrypt ciphertext
-   */
-  decryptCiphertext: function() {
-    // Check if legacy format
-    if (typeof sjcl !== 'undefined' && legacy.isLegacyFormat(keybearer._cipherobj)) {
-      keybearer._plaintext = legacy.decryptLegacy(keybearer._cipherobj, keybearer._master);
-    } else {
-      // V2 decryption using Noble
-      keybearer._plaintext = noble.decryptChaCha20Poly1305(
-        keybearer._master,
-        keybearer._cipherobj.ct,
-        keybearer._cipherobj.iv,
-        new Uint8Array(0)
+      keybearer._lastMetadata = p;
+      keybearer._cipherobj = p;
+      keybearer.augmentWithEncryptedKeys(p);
+      p.hd = header.headerDigest(p);
+
+      let total = source.size !== undefined ? source.size : source.length;
+      let plaintext = stream.toByteStream(source);
+      if (p.ih) {
+        const innerHeader = inner.encodeInnerHeader(keybearer.getInnerMetadata(total));
+        plaintext = inner.prependInnerHeader(innerHeader, plaintext);
+        if (total !== undefined) total += innerHeader.length;
+      }
+      const progress = callback && total !== undefined ? function(done) {
+        callback(total ? Math.min(done / total, 1) : 1);
+      } : null;
+      let onSegment = progress;
+      if (p.cmp) {
+        // The compressed size is unknown up front, so count plaintext going in
+        if (progress) plaintext = plaintext.pipeThrough(stream.countTransform(progress));
+        plaintext = plaintext.pipeThrough(compress.compressTransform(p.cmp));
+        onSegment = null;
+      }
+      if (p.pad) {
+        plaintext = plaintext.pipeThrough(padding.padTransform(p.pad));
+        if (total !== undefined && !p.cmp) total = padding.paddedLength(total + 1, p.pad);
+      }
+      return plaintext.pipeThrough(
+        stream.encryptTransform(p.mode, keybearer._master, p.iv, keybearer.getPayloadAAD(p), p.seg, onSegment)
       );
-    }
-  },
-
-  /**
-   * Complete encryption process with passwords
-   */
-  encryptWithPasswords: function(passwords, nUnlock, callback) {
-    keybearer.makeKeyCombinations(passwords, nUnlock, callback);
-    keybearer.makeAESKey();
-    return keybearer.encryptPlaintext(keybearer._plaintext);
-  },
-
-  /**
-   * Encrypt plaintext (always uses v2 Noble crypto)
-   */
-  encryptPlaintext: function(pt) {
-    const p = keybearer.makeMetadataObject();
-    const ptxt = pt || keybearer._plaintext;
-    keybearer._lastMetadata = p;
-
-    // Encrypt file content with master key
-    const result = noble.encryptChaCha20Poly1305(keybearer._master, ptxt, p.iv, new Uint8Array(0));
-    p.ct = result.ciphertext;
-    p.iv = result.nonce;
-
-    keybearer._cipherobj = p;
-    keybearer.augmentWithEncryptedKeys(keybearer._cipherobj);
-    return keybearer.getCipherJSON();
-  },
-
-  /**
-   * Encrypt master key with all password combinations
-   */
-  augmentWithEncryptedKeys: function(obj) {
-    const encKeys = [];
-    for (let i = 0; i < keybearer._keys.length; i++) {
-      const nonce = noble.getRandomBytes(12);
-      const result = noble.encryptChaCha20Poly1305(
-        keybearer._keys[i],
-        keybearer._master,
-        nonce,
-        new Uint8Array(0)
+    },
+
+    /**
+     * Decrypt a segmented payload as a stream (master key must be recovered)
+     *
+     * @param {Blob|ReadableStream|Uint8Array} source - Payload ciphertext, defaults to the loaded ct
+     * @param {Function} callback - Optional progress callback(fraction), needs a Blob or Uint8Array source
+     * @returns {ReadableStream} - Plaintext; errors on tampering or truncation
+     */
+    decryptCiphertextStream: function(source, callback) {
+      const obj = keybearer._cipherobj;
+      if (!obj.seg) {
+        throw new Error('Only segmented payloads can be decrypted as a stream');
+      }
+      source = source || obj.ct;
+      const total = source.size !== undefined ? source.size : source.length;
+      const onSegment = callback && total !== undefined ? function(done) {
+        callback(total ? done / total : 1);
+      } : null;
+      let plaintext = stream.toByteStream(source).pipeThrough(
+        stream.decryptTransform(obj.mode, keybearer._master, obj.iv, keybearer.getPayloadAAD(obj), obj.seg, onSegment)
       );
-      encKeys.push({ iv: result.nonce, key: result.ciphertext });
-    }
-    obj.keys = encKeys;
-    keybearer.shuffle(obj.keys);
-  },
-
-  /**
-   * Fisher-Yates shuffle
-   */
-  shuffle: function(arr) {
-    let i = arr.length;
-    if (i === 0) return false;
-    while (--i) {
-      const j = keybearer.randto(i + 1, 1)[0];
-      const tempi = arr[i];
-      arr[i] = arr[j];
-      arr[j] = tempi;
-    }
-    return arr;
-  },
-
-  /**
-   * Set plaintext from ArrayBuffer
-   */
-  setPlaintext: function(data, fn, ft) {
-    keybearer._plaintext = new Uint8Array(data);
-    if (fn) keybearer.setFileName(fn);
-    if (ft) keybearer.setFileType(ft);
-    return true;
-  },
-
-  setFileName: function(fname) {
-    keybearer._filename = fname;
-    return keybearer._filename;
-  },
-
-  setFileType: function(ftype) {
-    keybearer._filetype = ftype;
-    return keybearer._filetype;
-  },
-
-  setPBKDF2Iterations: function(num) {
-    keybearer.pbkdf2_iterations = num;
-  },
-
-  setWordlist: function(wl) {
-    keybearer._wordlist = wl;
-  },
-
-  setBadNGramList: function(wl) {
-    keybearer._badngramlist = wl;
-  },
-
-  getFileName: function() {
-    return keybearer._filename;
-  },
-
-  getFileType: function() {
-    return keybearer._filetype;
-  },
-
-  getNPasswords: function() {
-    return keybearer._nPasswords;
-  },
-
-  getNPasswordsDecrypt: function() {
-    return keybearer._cipherobj.nkeys;
-  },
-
-  getNumToUnlock: function() {
-    return keybearer._nToUnlock;
-  },
-
-  getWordlist: function() {
-    return keybearer._wordlist;
-  },
-
-  getBadNGramList: function() {
-    return keybearer._badngramlist;
-  },
-
-  resetKeys: function() {
-    keybearer._keys = [];
-  },
-
-  isPlaintextReady: function() {
-    return keybearer._plaintext !== null;
-  },
-
-  isCipherObjectReady: function() {
-    return keybearer._cipherobj !== null;
-  },
-
-  /**
-   * Parse encrypted JSON and prepare for decryption
-   */
-  setCipherJSON: function(data) {
-    const obj = JSON.parse(data);
-
-    // Detect version
-    const isLegacy = legacy.isLegacyFormat(obj);
-
-    if (isLegacy) {
-      // V1 format - keep SJCL bitArrays
-      obj.salt = sjcl.codec.base64.toBits(obj.salt);
-      obj.iv = sjcl.codec.base64.toBits(obj.iv);
-      obj.ct = sjcl.codec.base64.toBits(obj.ct);
-      for (let i = 0; i < obj.keys.length; i++) {
-        obj.keys[i].iv = sjcl.codec.base64.toBits(obj.keys[i].iv);
-        obj.keys[i].key = sjcl.codec.base64.toBits(obj.keys[i].key);
+      if (obj.pad) {
+        plaintext = plaintext.pipeThrough(padding.unpadTransform());
       }
-    } else {
+      if (obj.cmp) {
+        plaintext = plaintext.pipeThrough(compress.decompressTransform(obj.cmp, keybearer.decompression_limit));
+      }
+      return obj.ih ? plaintext.pipeThrough(inner.stripInnerHeader(keybearer.applyInnerMetadata)) : plaintext;
+    },
+
+    /**
+     * Decrypt the payload into a Blob (master key must be recovered)
+     *
+     * Segmented payloads are decrypted as a stream, so a payload still held in a
+     * Blob (see setCipherBlob) is never read into memory in one piece.
+     *
+     * @param {Function} callback - Optional progress callback(fraction) over the payload
+     * @param {AbortSignal} signal - Optional; stops a segmented payload between segments
+     * @returns {Promise<Blob>} - Plaintext, typed with the stored file type
+     */
+    decryptToBlob: function(callback, signal) {
+      if (keybearer._cipherobj.seg) {
+        const plaintext = keybearer.decryptCiphertextStream(null, callback);
+        return stream.streamToBlob(plaintext, '', signal).then(function(blob) {
+          // The type is only known here if it came from the inner header
+          return blob.slice(0, blob.size, keybearer.getFileType() || '');
+        });
+      }
+      return new Promise(function(resolve) {
+        keybearer.decryptCiphertext();
+        if (callback) callback(1);
+        resolve(new Blob([keybearer.getPlaintext()], { type: keybearer.getFileType() || '' }));
+      });
+    },
+
+    /**
+     * Decrypt a container with passcodes
+     *
+     * Loads the container, recovers the master key with
+     * decryptKeysWithPasscodesAsync() and decrypts the payload; the keys are
+     * wiped afterwards. The signal is checked before each key derivation, before
+     * each slot is tried and while the payload is decrypted.
+     *
+     * @param {Object} options
+     * @param {Blob|string|ArrayBuffer|Uint8Array} options.container - .kbr or .kbr.json
+     *   container; the loaded container if left out
+     * @param {Array<string>} options.passcodes - Entered passcodes; empty ones are skipped
+     * @param {AbortSignal} options.signal - Optional
+     * @param {Function} options.onProgress - Optional callback(fraction) while keys are
+     *   derived, then callback(fraction, 'decrypt') over the payload
+     * @returns {Promise<Object>} - The decryptKeysWithPasscodes() result plus
+     *   {fn, ft, blob}; rejects with PasscodeError if the passcodes do not
+     *   unlock, HeaderAuthError or PayloadAuthError if the container was
+     *   modified, and AbortError once the signal is aborted
+     */
+    decrypt: function(options) {
+      const signal = options.signal;
+      const source = options.container;
+      return Promise.resolve().then(function() {
+        throwIfAborted(signal);
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+          return keybearer.setCipherBlob(source);
+        }
+        if (source !== undefined) {
+          keybearer.setCipherData(source);
+        } else if (!keybearer.isCipherObjectReady()) {
+          throw new Error('No container to decrypt');
+        }
+      }).then(function() {
+        return keybearer.decryptKeysWithPasscodesAsync(options.passcodes || [], options.onProgress, signal);
+      }).then(function(result) {
+        if (!result.success) {
+          throw new PasscodeError(result);
+        }
+        throwIfAborted(signal);
+        const progress = options.onProgress && function(fraction) {
+          options.onProgress(fraction, 'decrypt');
+        };
+        return keybearer.decryptToBlob(progress, signal).then(function(blob) {
+          result.fn = keybearer.getFileName();
+          result.ft = keybearer.getFileType();
+          result.blob = blob;
+          return result;
+        });
+      }).catch(rethrowAborted(signal)).finally(keybearer.wipeKeys);
+    },
+
+    /**
+     * Rehearse a decryption: prove a set of passcodes opens the file, and nothing more
+     *
+     * Recovers the master key like decryptKeysWithPasscodes(), then decrypts and
+     * authenticates the whole payload, zeroing each piece of plaintext as soon as
+     * it is counted. The plaintext is never kept or returned, and the master key
+     * is wiped afterwards, whether or not the drill succeeds.
+     *
+     * @param {Array<string>} passcodes - Entered passcodes by field
+     * @param {Function} callback - Optional progress callback(fraction) over key derivations
+     * @returns {Promise<Object>} - The decryptKeysWithPasscodes() result, plus on
+     *   success {fn, ft, size} of the file; if the payload fails authentication,
+     *   success is false and error holds the reason; rejects with
+     *   HeaderAuthError if the header was modified
+     */
+    rehearse: function(passcodes, callback) {
+      let result;
+      try {
+        result = keybearer.decryptKeysWithPasscodes(passcodes, callback);
+      } catch (err) {
+        keybearer.wipeKeys();
+        return Promise.reject(err);
+      }
+      if (!result.success) {
+        keybearer.wipeKeys();
+        return Promise.resolve(result);
+      }
+      let check;
+      if (keybearer._cipherobj.seg) {
+        let size = 0;
+        check = keybearer.decryptCiphertextStream().pipeTo(new WritableStream({
+          write: function(chunk) {
+            size += chunk.length;
+            chunk.fill(0);
+          }
+        })).then(function() {
+          return size;
+        });
+      } else {
+        check = new Promise(function(resolve) {
+          keybearer.decryptCiphertext();
+          const size = keybearer._plaintext.length;
+          // The plaintext is a view past the inner header and before the
+          // padding; zero the whole buffer behind it
+          new Uint8Array(keybearer._plaintext.buffer).fill(0);
+          keybearer._plaintext = null;
+          resolve(size);
+        });
+      }
+      return check.then(function(size) {
+        result.fn = keybearer.getFileName();
+        result.ft = keybearer.getFileType();
+        result.size = size;
+        return result;
+      }, function(err) {
+        result.success = false;
+        result.error = err;
+        return result;
+      }).finally(keybearer.wipeKeys);
+    },
+
+    /**
+     * Decrypt every tier the entered passcodes qualify for
+     *
+     * Each passcode is derived once and tried on the key slots of every tier.
+     * A tier's master key is zeroed before the next tier is opened, and the
+     * derived keys once all are done. The outer container is loaded again afterwards.
+     *
+     * @param {Array<string>} passcodes - Entered passcodes; empty fields are skipped
+     * @param {Function} callback - Optional progress callback(fraction) over key derivations
+     * @returns {Promise<Array<Object>>} - Per tier {tier, nunlock, unlocked}, plus
+     *   {fn, ft, blob} for each unlocked tier
+     */
+    decryptTiers: function(passcodes, callback) {
+      callback = callback || function(x) {};
+      const outer = keybearer._cipherobj;
+      if (outer.v !== 3) {
+        return Promise.reject(new Error('Tiered disclosure needs a v3 container'));
+      }
+      const tiers = keybearer.getTiers();
+      const entered = passcodes.map(function(p) { return keybearer.normalizeString(p || ''); })
+        .filter(function(p) { return p.length > 0; })
+        .filter(function(p, i, all) { return keybearer.findMistyped(all, [i]).length === 0; });
+      const keys = [];
+      callback(0);
+      for (let i = 0; i < entered.length; i++) {
+        keys.push(keybearer.makeKeyFromPassword(entered[i]));
+        callback((i + 1) / entered.length);
+      }
+
+      const results = [];
+      const next = function(i) {
+        if (i === tiers.length) {
+          return results;
+        }
+        const tier = tiers[i];
+        const entry = { tier: i, nunlock: tier.nunlock, unlocked: false };
+        results.push(entry);
+        keybearer._cipherobj = tier;
+        keybearer.setFileName(tier.fn);
+        keybearer.setFileType(tier.ft);
+        keybearer._keys = keys;
+        if (!keybearer.decryptKeys()) {
+          return next(i + 1);
+        }
+        return keybearer.decryptToBlob().then(function(blob) {
+          entry.unlocked = true;
+          entry.fn = keybearer.getFileName();
+          entry.ft = keybearer.getFileType();
+          entry.blob = blob;
+          // Each tier has a master key of its own; this one is done with
+          keybearer._master.fill(0);
+          keybearer._master = null;
+          return next(i + 1);
+        });
+      };
+      return Promise.resolve().then(function() {
+        return next(0);
+      }).finally(function() {
+        keybearer.wipeKeys();
+        keybearer._cipherobj = outer;
+        keybearer.setFileName(outer.fn);
+        keybearer.setFileType(outer.ft);
+      });
+    },
+
+    /**
+     * Whether the decrypted payload is a multi-file bundle
+     *
+     * With hidden metadata this is only known after decryption.
+     */
+    isBundle: function() {
+      return keybearer.getFileType() === bundle.BUNDLE_TYPE;
+    },
+
+    /**
+     * List the files in a decrypted bundle
+     *
+     * @param {Blob} blob - Decrypted payload, defaults to decryptToBlob()
+     * @returns {Promise<Array<Object>>} - {path, size, type, mtime, sha256} per file
+     */
+    openBundle: function(blob) {
+      const source = blob ? Promise.resolve(blob) : keybearer.decryptToBlob();
+      return source.then(function(payload) {
+        return bundle.readBundle(payload).then(function(files) {
+          keybearer._bundle = { blob: payload, files: files };
+          return files.map(function(entry) {
+            return { path: entry.path, size: entry.size, type: entry.type, mtime: entry.mtime, sha256: entry.sha256 };
+          });
+        });
+      });
+    },
+
+    /**
+     * Extract one file from the bundle opened by openBundle()
+     *
+     * @param {string} path - Path as listed by openBundle()
+     * @returns {Promise<Blob>} - File contents, checked against the manifest digest
+     * @throws {BundleIntegrityError}
+     */
+    extractBundleFile: function(path) {
+      if (!keybearer._bundle) {
+        return Promise.reject(new Error('No bundle has been opened'));
+      }
+      const entry = keybearer._bundle.files.find(function(file) { return file.path === path; });
+      if (!entry) {
+        return Promise.reject(new Error('No such file in bundle: ' + path));
+      }
+      return bundle.extractFile(keybearer._bundle.blob, entry);
+    },
+
+    /**
+     * Metadata for the encrypted inner header
+     *
+     * @param {number} size - File size in bytes
+     */
+    getInnerMetadata: function(size) {
+      return {
+        fn: keybearer._filename,
+        ft: keybearer._filetype,
+        size: size,
+        mtime: keybearer._filemtime
+      };
+    },
+
+    /**
+     * Take the real file metadata from a decrypted inner header
+     */
+    applyInnerMetadata: function(meta) {
+      keybearer.setFileName(meta.fn);
+      keybearer.setFileType(meta.ft);
+      keybearer._filesize = meta.size;
+      keybearer._filemtime = meta.mtime;
+    },
+
+    /**
+     * Encrypt master key with all password combinations
+     *
+     * In Shamir mode each holder's key wraps their own share of the master key
+     * instead of the master key itself, or under an access policy their path
+     * through the policy and as many shares as their weight. Every slot carries a commitment tag (c)
+     * to the key that wraps it and a lookup tag (t) to find it by.
+     */
+    augmentWithEncryptedKeys: function(obj) {
+      const encKeys = [];
+      const aad = keybearer.getSlotAAD(obj);
+      let secrets = null;
+      if (obj.pol) {
+        secrets = policy.splitPolicy(keybearer._master, obj.pol);
+      } else if (obj.v === 3) {
+        secrets = shamir.splitSecret(keybearer._master, keybearer._nToUnlock, keybearer._keys.length);
+      }
+      for (let i = 0; i < keybearer._keys.length; i++) {
+        const result = noble.encryptAEAD(
+          obj.mode,
+          keybearer._keys[i],
+          secrets ? secrets[i] : keybearer._master,
+          null,
+          aad
+        );
+        encKeys.push({
+          iv: result.nonce,
+          key: result.ciphertext,
+          c: noble.commitKey(keybearer._keys[i], result.nonce, 'slot'),
+          t: noble.slotLookupTag(keybearer._keys[i], obj.salt)
+        });
+      }
+      obj.keys = encKeys;
+      keybearer.shuffle(obj.keys);
+    },
+
+    /**
+     * Replace the keyholders of the loaded container without re-encrypting it
+     *
+     * Recovers the master key from a quorum of the current passcodes, then
+     * rebuilds the key slots for the new passcodes and threshold under a fresh
+     * salt. ct, iv and every payload header field stay as they are, so existing
+     * copies of the payload remain valid; only the slot fields change.
+     *
+     * @param {Array<string>} passcodes - Current passcodes by field, at least the threshold
+     * @param {Array<string>} newPasscodes - Passcodes of the new keyholders
+     * @param {number} nUnlock - Passcodes needed to unlock from now on
+     * @param {Function} callback - Optional progress callback(fraction) while new keys are derived
+     * @returns {Object} - Result of decryptKeysWithPasscodes(); slots are only replaced on success
+     */
+    rekey: function(passcodes, newPasscodes, nUnlock, callback) {
+      const obj = keybearer._cipherobj;
+      if (legacy.isLegacyFormat(obj)) {
+        throw new Error('Legacy v1 containers cannot be rekeyed, decrypt and encrypt them again');
+      }
+      if (obj.tn) {
+        throw new Error('Tiered containers cannot be rekeyed, decrypt and encrypt them again');
+      }
+      if (!(nUnlock >= 1 && nUnlock <= newPasscodes.length)) {
+        throw new Error('Threshold must be between 1 and the number of new passcodes');
+      }
+      const result = keybearer.decryptKeysWithPasscodes(passcodes);
+      if (!result.success) {
+        return result;
+      }
+
+      keybearer.makeSalt();
+      const verifiers = keybearer.passcode_verifiers;
+      keybearer.passcode_verifiers = verifiers || !!obj.pv;
+      try {
+        keybearer.makeKeyCombinations(newPasscodes.slice(), nUnlock, callback, obj.v === 3 ? 'shamir' : 'combinations');
+      } finally {
+        keybearer.passcode_verifiers = verifiers;
+      }
+      obj.salt = keybearer._salt;
+      obj.iter = keybearer.pbkdf2_iterations;
+      obj.kdf = keybearer.getKDFObject();
+      obj.nkeys = keybearer._nPasswords;
+      obj.nunlock = keybearer._nToUnlock;
+      obj.pol = undefined;
+      obj.pck = keybearer._checksummed ? 1 : undefined;
+      obj.pv = keybearer._verifiers || undefined;
+      // Slot AAD covers the new slot fields; payload fields are unchanged
+      keybearer.augmentWithEncryptedKeys(obj);
+      if (obj.hv) {
+        obj.hd = header.headerDigest(obj);
+      }
+      return result;
+    },
+
+    /**
+     * Associated data for the payload (empty for unauthenticated v2 files)
+     */
+    getPayloadAAD: function(obj) {
+      return obj.hv ? header.payloadAAD(obj) : new Uint8Array(0);
+    },
+
+    /**
+     * Associated data for the key slots (empty for unauthenticated v2 files)
+     */
+    getSlotAAD: function(obj) {
+      return obj.hv ? header.slotAAD(obj) : new Uint8Array(0);
+    },
+
+    /**
+     * Fisher-Yates shuffle
+     */
+    shuffle: function(arr) {
+      let i = arr.length;
+      if (i === 0) return false;
+      while (--i) {
+        const j = keybearer.randto(i + 1, 1)[0];
+        const tempi = arr[i];
+        arr[i] = arr[j];
+        arr[j] = tempi;
+      }
+      return arr;
+    },
+
+    /**
+     * Set plaintext from ArrayBuffer
+     */
+    setPlaintext: function(data, fn, ft, mtime) {
+      keybearer._plaintext = new Uint8Array(data);
+      keybearer._plaintextBlob = null;
+      keybearer._filemtime = mtime || null;
+      if (fn) keybearer.setFileName(fn);
+      if (ft) keybearer.setFileType(ft);
+      return true;
+    },
+
+    /**
+     * Set plaintext from a Blob (e.g. a File), read as a stream when encrypting
+     */
+    setPlaintextBlob: function(blob, fn, ft) {
+      keybearer._plaintext = null;
+      keybearer._plaintextBlob = blob;
+      keybearer._filemtime = blob.lastModified || null;
+      if (fn) keybearer.setFileName(fn);
+      if (ft) keybearer.setFileType(ft);
+      return true;
+    },
+
+    /**
+     * Set plaintext to a bundle of several files, e.g. a folder
+     *
+     * Every file is hashed first, so this resolves once the manifest is built.
+     * The bundle is then encrypted as a stream like a single Blob.
+     *
+     * @param {Array<File|Object>} files - Files, or {path, data: Blob|Uint8Array, type, mtime};
+     *   a File's path is its webkitRelativePath (folder selection) or its name
+     * @param {string} name - File name of the bundle, defaults to 'bundle'
+     * @returns {Promise<boolean>}
+     */
+    setPlaintextFiles: function(files, name) {
+      const entries = files.map(function(file) {
+        if (file.data !== undefined) return file;
+        return { path: file.webkitRelativePath || file.name, data: file };
+      });
+      return bundle.makeBundle(entries).then(function(blob) {
+        keybearer._plaintext = null;
+        keybearer._plaintextBlob = blob;
+        keybearer._filemtime = null;
+        keybearer.setFileName(name || 'bundle');
+        keybearer.setFileType(bundle.BUNDLE_TYPE);
+        return true;
+      });
+    },
+
+    setFileName: function(fname) {
+      keybearer._filename = fname;
+      return keybearer._filename;
+    },
+
+    setFileType: function(ftype) {
+      keybearer._filetype = ftype;
+      return keybearer._filetype;
+    },
+
+    /**
+     * Store passcode verifiers in new v2 files (see verifyPasscode())
+     */
+    setPasscodeVerifiers: function(on) {
+      keybearer.passcode_verifiers = !!on;
+    },
+
+    /**
+     * Select the compression format for new containers ('none', 'gzip' or 'deflate')
+     */
+    setCompression: function(format) {
+      if (format !== 'none' && compress.FORMATS.indexOf(format) === -1) {
+        throw new Error('Unsupported compression format: ' + format);
+      }
+      keybearer.compression = format;
+    },
+
+    /**
+     * Derive the keys of makeKeyCombinationsAsync(), and so of encrypt() and
+     * encryptWithPasswordsStream(), in a worker pool (see kb-pool.js)
+     *
+     * @param {Object} pool - From createKeyPool(), or null to derive in this thread
+     */
+    setKeyPool: function(pool) {
+      keybearer._pool = pool || null;
+    },
+
+    /**
+     * Select the padding scheme by name, or as {name: 'fixed', size}
+     */
+    setPadding: function(pad) {
+      if (typeof pad === 'string') pad = { name: pad };
+      if (pad.name !== 'none') {
+        // Fail early on unknown schemes
+        padding.paddedLength(1, { name: pad.name, size: pad.size || keybearer.padding_size });
+      }
+      keybearer.padding = pad.name;
+      if (pad.size) keybearer.padding_size = pad.size;
+    },
+
+    /**
+     * Hide the file name, type, size and mtime inside the encrypted payload
+     */
+    setEncryptMetadata: function(hide) {
+      keybearer.encrypt_metadata = !!hide;
+    },
+
+    /**
+     * Select the AEAD cipher for new containers (a mode from noble.CIPHERS)
+     */
+    setCipherMode: function(mode) {
+      noble.getCipher(mode);
+      keybearer.aes_cipher_mode = mode;
+    },
+
+    setContainerFormat: function(format) {
+      keybearer.container_format = format;
+    },
+
+    setPBKDF2Iterations: function(num) {
+      keybearer.pbkdf2_iterations = num;
+    },
+
+    /**
+     * Select the KDF by name, or from a container's `kdf` object
+     */
+    setKDF: function(kdf) {
+      if (typeof kdf === 'string') kdf = { name: kdf };
+      keybearer.kdf = kdf.name;
+      switch (kdf.name) {
+        case 'pbkdf2':
+          if (kdf.c) keybearer.setPBKDF2Iterations(kdf.c);
+          break;
+        case 'argon2id':
+          keybearer.argon2_params = {
+            t: kdf.t || keybearer.argon2_params.t,
+            m: kdf.m || keybearer.argon2_params.m,
+            p: kdf.p || keybearer.argon2_params.p
+          };
+          break;
+        case 'scrypt':
+          keybearer.scrypt_params = {
+            N: kdf.N || keybearer.scrypt_params.N,
+            r: kdf.r || keybearer.scrypt_params.r,
+            p: kdf.p || keybearer.scrypt_params.p
+          };
+          break;
+        default:
+          throw new Error('Unsupported key derivation function: ' + kdf.name);
+      }
+    },
+
+    setWordlist: function(wl) {
+      keybearer._wordlist = wl;
+    },
+
+    setBadNGramList: function(wl) {
+      keybearer._badngramlist = wl;
+    },
+
+    getFileName: function() {
+      return keybearer._filename;
+    },
+
+    getFileType: function() {
+      return keybearer._filetype;
+    },
+
+    /**
+     * File size and modification time, known once an inner header is decrypted
+     */
+    getFileSize: function() {
+      return keybearer._filesize;
+    },
+
+    getFileModified: function() {
+      return keybearer._filemtime;
+    },
+
+    getNPasswords: function() {
+      return keybearer._nPasswords;
+    },
+
+    getNPasswordsDecrypt: function() {
+      return keybearer._cipherobj.nkeys;
+    },
+
+    getNumToUnlock: function() {
+      return keybearer._nToUnlock;
+    },
+
+    getWordlist: function() {
+      return keybearer._wordlist;
+    },
+
+    getBadNGramList: function() {
+      return keybearer._badngramlist;
+    },
+
+    resetKeys: function() {
+      keybearer._keys = [];
+    },
+
+    /**
+     * Overwrite the master key and derived keys with zeros and drop them
+     */
+    wipeKeys: function() {
+      if (keybearer._master instanceof Uint8Array) keybearer._master.fill(0);
+      keybearer._master = null;
+      keybearer._keys.forEach(function(key) {
+        if (key instanceof Uint8Array) key.fill(0);
+      });
+      keybearer._keys = [];
+    },
+
+    isPlaintextReady: function() {
+      return keybearer._plaintext !== null || keybearer._plaintextBlob !== null;
+    },
+
+    isCipherObjectReady: function() {
+      return keybearer._cipherobj !== null;
+    },
+
+    /**
+     * Parse encrypted JSON and prepare for decryption
+     */
+    setCipherJSON: function(data) {
+      keybearer.setCipherObject(JSON.parse(data));
+      keybearer._cipherformat = 'json';
+    },
+
+    /**
+     * Parse a binary .kbr container and prepare for decryption
+     */
+    setCipherBinary: function(bytes) {
+      const parsed = container.readContainer(new Uint8Array(bytes));
+      parsed.header.ct = parsed.ct;
+      keybearer.setCipherObject(parsed.header);
+      keybearer._cipherformat = 'binary';
+    },
+
+    /**
+     * Load a container in either format, detected from its first bytes
+     *
+     * @param {string|ArrayBuffer|Uint8Array} data - .kbr.json text or container bytes
+     */
+    setCipherData: function(data) {
+      if (typeof data === 'string') {
+        // Binary strings (FileReader.readAsBinaryString) of a .kbr file
+        if (data.slice(0, container.MAGIC.length) === String.fromCharCode.apply(null, container.MAGIC)) {
+          return keybearer.setCipherBinary(Uint8Array.from(data, char => char.charCodeAt(0)));
+        }
+        return keybearer.setCipherJSON(data);
+      }
+      const bytes = new Uint8Array(data);
+      if (container.isBinaryContainer(bytes)) {
+        return keybearer.setCipherBinary(bytes);
+      }
+      return keybearer.setCipherJSON(new TextDecoder().decode(bytes));
+    },
+
+    /**
+     * Load a container from a Blob (e.g. a File) in either format
+     *
+     * Only the header of a binary container is read; a segmented payload stays in
+     * the Blob and is read by decryptCiphertextStream().
+     *
+     * @returns {Promise}
+     */
+    setCipherBlob: function(blob) {
+      return blob.slice(0, container.PREFIX_LENGTH).arrayBuffer().then(function(buf) {
+        const start = new Uint8Array(buf);
+        if (!container.isBinaryContainer(start)) {
+          return blob.text().then(keybearer.setCipherJSON);
+        }
+        const ctOffset = container.PREFIX_LENGTH + container.readHeaderLength(start);
+        return blob.slice(container.PREFIX_LENGTH, ctOffset).text().then(function(text) {
+          const obj = JSON.parse(text);
+          if (obj.seg) {
+            obj.ct = blob.slice(ctOffset);
+            return obj;
+          }
+          return blob.slice(ctOffset).arrayBuffer().then(function(ct) {
+            obj.ct = new Uint8Array(ct);
+            return obj;
+          });
+        }).then(function(obj) {
+          keybearer.setCipherObject(obj);
+          keybearer._cipherformat = 'binary';
+        });
+      });
+    },
+
+    /**
+     * Prepare a parsed container object (binary fields still encoded) for decryption
+     */
+    setCipherObject: function(obj) {
+      // Detect version
+      const isLegacy = legacy.isLegacyFormat(obj);
+
+      if (isLegacy) {
+        if (typeof sjcl === 'undefined') {
+          throw new KeybearerError('v1 files need SJCL: load sjcl.js before opening this file');
+        }
+        // V1 format - keep SJCL bitArrays
+        obj.salt = sjcl.codec.base64.toBits(obj.salt);
+        obj.iv = sjcl.codec.base64.toBits(obj.iv);
+        obj.ct = sjcl.codec.base64.toBits(obj.ct);
+        for (let i = 0; i < obj.keys.length; i++) {
+          obj.keys[i].iv = sjcl.codec.base64.toBits(obj.keys[i].iv);
+          obj.keys[i].key = sjcl.codec.base64.toBits(obj.keys[i].key);
+        }
+      } else {
+        keybearer.decodeCipherObject(obj);
+      }
+
+      // Set keybearer fields
+      // Settings stay as they are: keys for this file follow getKeyScheme() and getDerivationKDF()
+      keybearer._salt = obj.salt;
+      keybearer._nPasswords = obj.nkeys;
+      keybearer._nToUnlock = obj.nunlock;
+      // With an inner header these are neutral until decryptCiphertext()
+      keybearer.setFileName(obj.fn);
+      keybearer.setFileType(obj.ft);
+      keybearer._filesize = null;
+      keybearer._filemtime = null;
+      keybearer._bundle = null;
+      keybearer._cipherobj = obj;
+    },
+
+    /**
+     * Decode the binary fields of a v2/v3 container object in place and check its header
+     *
+     * @param {Object} obj - Parsed container JSON
+     * @param {boolean} isTier - obj is one of the tiers of another container
+     * @throws {HeaderAuthError} - If the header, or the set of tiers, was modified
+     */
+    decodeCipherObject: function(obj, isTier) {
       // V2 format - use Uint8Array
       obj.salt = noble.decodeBase64(obj.salt);
       obj.iv = noble.decodeBase64(obj.iv);
-      obj.ct = noble.decodeBase64(obj.ct);
+      if (typeof obj.ct === 'string') {
+        obj.ct = noble.decodeBase64(obj.ct);
+      }
+      if (obj.pc) {
+        obj.pc = noble.decodeBase64(obj.pc);
+      }
+      if (obj.pv) {
+        obj.pv = obj.pv.map(noble.decodeBase64);
+      }
       for (let i = 0; i < obj.keys.length; i++) {
         obj.keys[i].iv = noble.decodeBase64(obj.keys[i].iv);
         obj.keys[i].key = noble.decodeBase64(obj.keys[i].key);
+        if (obj.keys[i].c) {
+          obj.keys[i].c = noble.decodeBase64(obj.keys[i].c);
+        }
+        if (obj.keys[i].t) {
+          obj.keys[i].t = noble.decodeBase64(obj.keys[i].t);
+        }
       }
-    }
 
-    // Set keybearer fields
-    keybearer._salt = obj.salt;
-    keybearer._nPasswords = obj.nkeys;
-    keybearer._nToUnlock = obj.nunlock;
-    keybearer.setFileName(obj.fn);
-    keybearer.setFileType(obj.ft);
-    keybearer.setPBKDF2Iterations(obj.iter);
-    keybearer._cipherobj = obj;
-  },
-
-  /**
-   * Export encrypted object as JSON
-   */
-  getCipherJSON: function() {
-    // Create a shallow copy and convert Uint8Arrays to base64
-    const obj = {
-      v: keybearer._cipherobj.v,
-      mode: keybearer._cipherobj.mode,
-      cipher: keybearer._cipherobj.cipher,
-      ts: keybearer._cipherobj.ts,
-      ks: keybearer._cipherobj.ks,
-      iter: keybearer._cipherobj.iter,
-      adata: keybearer._cipherobj.adata,
-      fn: keybearer._cipherobj.fn,
-      ft: keybearer._cipherobj.ft,
-      nkeys: keybearer._cipherobj.nkeys,
-      nunlock: keybearer._cipherobj.nunlock,
-      salt: noble.encodeBase64(keybearer._cipherobj.salt),
-      iv: noble.encodeBase64(keybearer._cipherobj.iv),
-      ct: noble.encodeBase64(keybearer._cipherobj.ct),
-      keys: []
-    };
-
-    // Base64 encode all key entries
-    for (let i = 0; i < keybearer._cipherobj.keys.length; i++) {
-      obj.keys.push({
-        iv: noble.encodeBase64(keybearer._cipherobj.keys[i].iv),
-        key: noble.encodeBase64(keybearer._cipherobj.keys[i].key)
-      });
-    }
+      // Fail early on ciphers this version does not know
+      noble.getCipher(obj.mode, obj.cipher);
+
+      // Authenticated header: report edits before any key derivation
+      if (obj.hv) {
+        if (obj.hv !== header.HEADER_VERSION) {
+          throw new Error('Unsupported header version: ' + obj.hv);
+        }
+        if (obj.hd !== header.headerDigest(obj)) {
+          throw new HeaderAuthError();
+        }
+      }
+
+      // Every tier authenticates its own index and the tier count
+      if (isTier) {
+        return;
+      }
+      if (obj.tn) {
+        const tiers = obj.tiers || [];
+        if (obj.ti !== 0 || tiers.length !== obj.tn - 1) {
+          throw new HeaderAuthError('A tier of the container is missing');
+        }
+        obj.tiers = tiers.map(function(tier, i) {
+          keybearer.decodeCipherObject(tier, true);
+          if (tier.tn !== obj.tn || tier.ti !== i + 1 || tier.v !== 3 ||
+              noble.encodeBase64(tier.salt) !== noble.encodeBase64(obj.salt)) {
+            throw new HeaderAuthError('A tier of the container does not belong to it');
+          }
+          return tier;
+        });
+      } else {
+        obj.tiers = undefined;
+      }
+    },
+
+    /**
+     * Export encrypted object as JSON
+     */
+    getCipherJSON: function() {
+      const obj = keybearer.getCipherJSONObject();
+      obj.ct = noble.encodeBase64(keybearer._cipherobj.ct);
+      return JSON.stringify(obj);
+    },
+
+    /**
+     * Export encrypted object as a stream of JSON text, with ct read from a stream
+     *
+     * @param {ReadableStream} ctStream - Payload ciphertext, e.g. from encryptPlaintextStream()
+     * @returns {ReadableStream} - UTF-8 bytes of the .kbr.json container
+     */
+    getCipherJSONStream: function(ctStream) {
+      const text = JSON.stringify(keybearer.getCipherJSONObject());
+      const encoder = new TextEncoder();
+      // ct goes last so it can be streamed
+      return stream.wrapStream(
+        encoder.encode(text.slice(0, -1) + ',"ct":"'),
+        ctStream.pipeThrough(stream.base64EncodeTransform()),
+        encoder.encode('"}')
+      );
+    },
+
+    /**
+     * Export the loaded container, e.g. after rekey(), without reading ct into memory
+     *
+     * @param {string} format - 'json' or 'binary'; defaults to the format it was loaded from
+     * @returns {Promise<Blob>}
+     */
+    getCipherBlob: function(format) {
+      format = format || keybearer._cipherformat || keybearer.container_format;
+      const ctStream = stream.toByteStream(keybearer._cipherobj.ct);
+      if (format === 'binary') {
+        return new Response(keybearer.getCipherBinaryStream(ctStream)).blob();
+      }
+      return new Response(keybearer.getCipherJSONStream(ctStream)).blob();
+    },
+
+    /**
+     * Export encrypted object as a binary .kbr container
+     */
+    getCipherBinary: function() {
+      return container.writeContainer(keybearer.getCipherJSONObject(), keybearer._cipherobj.ct);
+    },
+
+    /**
+     * Export encrypted object as a stream of binary .kbr bytes, with ct read from a stream
+     *
+     * @param {ReadableStream} ctStream - Payload ciphertext, e.g. from encryptPlaintextStream()
+     * @returns {ReadableStream} - Bytes of the .kbr container
+     */
+    getCipherBinaryStream: function(ctStream) {
+      return stream.wrapStream(container.writeContainerPrefix(keybearer.getCipherJSONObject()), ctStream);
+    },
+
+    /**
+     * Convert a .kbr.json container to binary .kbr bytes
+     */
+    jsonToBinary: function(json) {
+      return container.jsonToBinary(json);
+    },
+
+    /**
+     * Convert binary .kbr bytes to a .kbr.json container
+     */
+    binaryToJSON: function(bytes) {
+      return container.binaryToJSON(new Uint8Array(bytes));
+    },
 
-    return JSON.stringify(obj);
-  },
+    /**
+     * Build the JSON-ready container object, without ct
+     *
+     * @param {Object} src - Container object, defaults to the loaded one
+     */
+    getCipherJSONObject: function(src) {
+      src = src || keybearer._cipherobj;
+      // Create a shallow copy and convert Uint8Arrays to base64
+      const obj = {
+        v: src.v,
+        hv: src.hv,
+        hd: src.hd,
+        mode: src.mode,
+        cipher: src.cipher,
+        ts: src.ts,
+        ks: src.ks,
+        seg: src.seg,
+        pc: src.pc ? noble.encodeBase64(src.pc) : undefined,
+        ih: src.ih,
+        cmp: src.cmp,
+        pad: src.pad,
+        iter: src.iter,
+        kdf: src.kdf,
+        adata: src.adata,
+        fn: src.fn,
+        ft: src.ft,
+        nkeys: src.nkeys,
+        nunlock: src.nunlock,
+        pol: src.pol,
+        pck: src.pck,
+        pv: src.pv ? src.pv.map(noble.encodeBase64) : undefined,
+        tn: src.tn,
+        ti: src.ti,
+        salt: noble.encodeBase64(src.salt),
+        iv: noble.encodeBase64(src.iv),
+        keys: []
+      };
 
-  /**
-   * Get plaintext as Uint8Array
-   */
-  getPlaintext: function() {
-    return keybearer._plaintext;
-  },
+      // Base64 encode all key entries
+      for (let i = 0; i < src.keys.length; i++) {
+        const slot = src.keys[i];
+        obj.keys.push({
+          iv: noble.encodeBase64(slot.iv),
+          key: noble.encodeBase64(slot.key),
+          c: slot.c ? noble.encodeBase64(slot.c) : undefined,
+          t: slot.t ? noble.encodeBase64(slot.t) : undefined
+        });
+      }
+
+      // Other tiers are complete containers of their own, ct included
+      if (src.tiers) {
+        obj.tiers = src.tiers.map(function(tier) {
+          const tierObj = keybearer.getCipherJSONObject(tier);
+          tierObj.ct = noble.encodeBase64(tier.ct);
+          return tierObj;
+        });
+      }
 
-  /**
-   * Augment object with properties from another
-   */
-  augment: function(toAug, augger) {
-    for (const k in augger) {
-      if (augger.hasOwnProperty(k)) {
-        toAug[k] = augger[k];
+      return obj;
+    },
+
+    /**
+     * Get plaintext as Uint8Array
+     */
+    getPlaintext: function() {
+      return keybearer._plaintext;
+    },
+
+    /**
+     * Augment object with properties from another
+     */
+    augment: function(toAug, augger) {
+      for (const k in augger) {
+        if (augger.hasOwnProperty(k)) {
+          toAug[k] = augger[k];
+        }
       }
     }
+  };
+
+  if (settings) {
+    // Only the public settings above: methods and private state stay the session's own
+    for (const k in settings) {
+      if (settings.hasOwnProperty(k) &&
+          (!keybearer.hasOwnProperty(k) || k[0] === '_' || typeof keybearer[k] === 'function')) {
+        throw new Error('Unknown setting: ' + k);
+      }
+    }
+    keybearer.augment(keybearer, settings);
   }
-};
+  return keybearer;
+}
+
+/**
+ * Encrypt a file in a session of its own, see keybearer.encrypt()
+ *
+ * @param {Object} options - As for keybearer.encrypt(), plus optional settings
+ *   for the session, e.g. {kdf: 'argon2id'}
+ * @returns {Promise<Blob>}
+ */
+export function encrypt(options) {
+  return createKeybearer(options.settings).encrypt(options);
+}
+
+/**
+ * Decrypt a container in a session of its own, see keybearer.decrypt()
+ *
+ * @param {Object} options - As for keybearer.decrypt(), plus optional settings for the session
+ * @returns {Promise<Object>}
+ */
+export function decrypt(options) {
+  return createKeybearer(options.settings).decrypt(options);
+}
+
+// Default session, the global keybearer object (IIFE export for browser compatibility)
+const keybearer = createKeybearer();
+// Lets code that only sees the global (e.g. window.keybearer) start sessions of its own
+keybearer.createKeybearer = createKeybearer;
 
 // Export for ES modules
 export default keybearer;
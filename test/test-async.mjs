@@ -0,0 +1,110 @@
+/**
+ * Node.js test for the Promise-based encrypt()/decrypt() API
+ */
+
+import keybearer, { encrypt, decrypt } from '../src/kb.js';
+
+console.log('=== Keybearer Async API Test ===\n');
+
+const settings = { pbkdf2_iterations: 1000 };
+const passcodes = ['alpha', 'bravo', 'charlie'];
+const content = new TextEncoder().encode('Safe deposit box 42, First National. '.repeat(4000));
+
+async function expectError(promise, name) {
+  try {
+    await promise;
+  } catch (err) {
+    if (err.name !== name) throw err;
+    return err;
+  }
+  throw new Error('Expected ' + name);
+}
+
+try {
+  // Test 1: Round trip through the top-level functions
+  console.log('Test 1: Encrypt and decrypt...');
+  const progress = [];
+  const container = await encrypt({
+    file: content,
+    name: 'box.txt',
+    type: 'text/plain',
+    passcodes: passcodes,
+    threshold: 2,
+    settings: settings,
+    onProgress: function(fraction, stage) {
+      progress.push(stage || 'keys');
+    }
+  });
+  if (!progress.includes('keys') || !progress.includes('encrypt')) throw new Error('Progress not reported');
+  const result = await decrypt({ container: container, passcodes: ['', 'charlie', 'wrong', 'alpha'] });
+  const out = new Uint8Array(await result.blob.arrayBuffer());
+  if (out.length !== content.length || !out.every((b, i) => b === content[i])) throw new Error('Payload mismatch');
+  if (result.fn !== 'box.txt' || result.blob.type !== 'text/plain' || result.used.join() !== '1,3') {
+    throw new Error('Unexpected result: ' + JSON.stringify(result));
+  }
+  const text = await container.text();
+  const again = await keybearer.decrypt({ container: text, passcodes: ['bravo', 'alpha'] });
+  if (again.blob.size !== content.length || keybearer._master !== null) throw new Error('Default session decrypt failed');
+  console.log('✓', container.size, 'byte container opened from a Blob and from JSON text');
+
+  // Test 2: Failures reject with typed errors
+  console.log('\nTest 2: Typed errors...');
+  const refused = await expectError(decrypt({ container: text, passcodes: ['alpha', 'delta'] }), 'PasscodeError');
+  if (refused.result.rejected.join() !== '1') throw new Error('Wrong passcode not reported');
+  console.log('✓ PasscodeError, reporting the wrong passcode');
+
+  const forged = JSON.parse(text);
+  forged.fn = 'other.txt';
+  await expectError(decrypt({ container: JSON.stringify(forged), passcodes: passcodes }), 'HeaderAuthError');
+  const damaged = JSON.parse(text);
+  const ct = atob(damaged.ct).split('');
+  ct[500] = String.fromCharCode(ct[500].charCodeAt(0) ^ 1);
+  damaged.ct = btoa(ct.join(''));
+  await expectError(decrypt({ container: JSON.stringify(damaged), passcodes: passcodes }), 'PayloadAuthError');
+  await expectError(encrypt({ file: content, passcodes: passcodes, threshold: 4 }), 'RangeError');
+  console.log('✓ HeaderAuthError, PayloadAuthError and RangeError');
+
+  // Test 3: Aborting stops key derivation
+  console.log('\nTest 3: Abort...');
+  const aborted = new AbortController();
+  aborted.abort('not today');
+  const early = await expectError(decrypt({ container: text, passcodes: passcodes, signal: aborted.signal }), 'AbortError');
+  if (early.reason !== 'not today') throw new Error('Reason not kept');
+
+  const controller = new AbortController();
+  let derived = 0;
+  await expectError(encrypt({
+    file: content,
+    passcodes: ['a', 'b', 'c', 'd', 'e'],
+    threshold: 3,
+    settings: { key_scheme: 'combinations', pbkdf2_iterations: 1000 },
+    signal: controller.signal,
+    onProgress: function(fraction, stage) {
+      if (!stage && fraction > 0) {
+        derived++;
+        if (derived === 2) controller.abort();
+      }
+    }
+  }), 'AbortError');
+  if (derived !== 2) throw new Error(derived + ' keys derived after the abort');
+  console.log('✓ Stopped after 2 of 10 key combinations');
+
+  // A timer firing while keys are derived is handled between derivations
+  const started = Date.now();
+  const timedOut = await expectError(encrypt({
+    file: content,
+    passcodes: passcodes,
+    threshold: 2,
+    settings: { pbkdf2_iterations: 200000 },
+    signal: AbortSignal.timeout(50)
+  }), 'AbortError');
+  if (timedOut.reason.name !== 'TimeoutError') throw new Error('Unexpected reason: ' + timedOut.reason);
+  console.log('✓ AbortSignal.timeout(50) stopped the encryption after', Date.now() - started, 'ms');
+
+  console.log('\n✅ All async API tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,128 @@
+/**
+ * Node.js test for multi-file bundles
+ */
+
+import keybearer from '../src/kb.js';
+import * as bundle from '../src/kb-bundle.js';
+
+console.log('=== Keybearer Bundle Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+const encode = (s) => new TextEncoder().encode(s);
+
+const files = [
+  { path: 'estate/will.txt', data: encode('I leave everything to the cat.'), type: 'text/plain', mtime: 1700000000000 },
+  { path: 'estate/scans/deed.pdf', data: new Blob([new Uint8Array(100000).map((_, i) => i % 251)]), type: 'application/pdf' },
+  { path: 'passwords.csv', data: encode('site,user,password\n') },
+  { path: 'empty', data: new Uint8Array(0) }
+];
+
+try {
+  // Test 1: Manifest contents and path checks
+  console.log('Test 1: Build a bundle...');
+  const manifest = await bundle.makeManifest(files);
+  const will = manifest.files[0];
+  if (will.size !== 30 || will.type !== 'text/plain' || will.mtime !== 1700000000000) {
+    throw new Error('Wrong manifest entry: ' + JSON.stringify(will));
+  }
+  if (manifest.files[3].sha256 !== 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855') {
+    throw new Error('Wrong SHA-256 of the empty file');
+  }
+  for (const path of ['../etc/passwd', '/abs', 'a//b', 'a/./b', 'a\\b', '']) {
+    try {
+      bundle.checkPath(path);
+      throw new Error('Accepted path ' + path);
+    } catch (err) {
+      if (!err.message.startsWith('Invalid bundle path') && !err.message.startsWith('Bundle paths')) throw err;
+    }
+  }
+  try {
+    await bundle.makeManifest([files[2], files[2]]);
+    throw new Error('Accepted duplicate paths');
+  } catch (err) {
+    if (!err.message.startsWith('Duplicate bundle path')) throw err;
+  }
+  console.log('✓ Manifest of', manifest.files.length, 'files; bad and duplicate paths rejected');
+
+  // Test 2: Encrypt a bundle with hidden metadata and extract each file
+  console.log('\nTest 2: Encrypt and extract...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.setEncryptMetadata(true);
+  keybearer.makeSalt();
+  await keybearer.setPlaintextFiles(files, 'estate');
+  const containerBlob = await keybearer.encryptWithPasswordsStream(['alpha', 'beta'], 2);
+  try {
+    keybearer.encryptWithPasswords(['alpha', 'beta'], 2);
+    throw new Error('Bundle encrypted on the synchronous path');
+  } catch (err) {
+    if (err.name !== 'StreamRequiredError') throw err;
+  }
+  keybearer._plaintextBlob = null;
+  await keybearer.setCipherBlob(containerBlob);
+  if (keybearer.isBundle()) throw new Error('Bundle type shows in the cleartext header');
+  keybearer.makeKeyCombinations(['alpha', 'beta'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt master key');
+  const listing = await keybearer.openBundle();
+  if (!keybearer.isBundle() || keybearer.getFileName() !== 'estate') throw new Error('Bundle not recognized');
+  if (listing.map((f) => f.path).join() !== files.map((f) => f.path).join()) {
+    throw new Error('Wrong listing: ' + listing.map((f) => f.path).join());
+  }
+  for (const file of files) {
+    const blob = await keybearer.extractBundleFile(file.path);
+    const expected = file.data instanceof Blob ? new Uint8Array(await file.data.arrayBuffer()) : file.data;
+    if (!same(new Uint8Array(await blob.arrayBuffer()), expected)) throw new Error(file.path + ' mismatch');
+  }
+  console.log('✓ Listed and extracted', listing.length, 'files; the synchronous path refuses the bundle');
+  keybearer.setEncryptMetadata(false);
+
+  // Test 3: A corrupted file fails its digest
+  console.log('\nTest 3: Corrupted bundle...');
+  const good = await bundle.makeBundle(files);
+  const bytes = new Uint8Array(await good.arrayBuffer());
+  bytes[bytes.length - 10] ^= 1; // inside passwords.csv
+  const entries = await bundle.readBundle(new Blob([bytes]));
+  await bundle.extractFile(new Blob([bytes]), entries[0]);
+  try {
+    await bundle.extractFile(new Blob([bytes]), entries[2]);
+    throw new Error('Corrupted file was extracted');
+  } catch (err) {
+    if (err.name !== 'BundleIntegrityError' || err.path !== 'passwords.csv') throw err;
+  }
+  try {
+    await bundle.readBundle(new Blob([bytes.subarray(0, bytes.length - 1)]));
+    throw new Error('Truncated bundle was read');
+  } catch (err) {
+    if (err.message !== 'Bundle size does not match its manifest') throw err;
+  }
+  console.log('✓ Rejected with BundleIntegrityError');
+
+  // Test 4: Files are hashed one after another, not all read at once
+  console.log('\nTest 4: Hash files in turn...');
+  let reading = 0;
+  let most = 0;
+  class CountedBlob extends Blob {
+    stream() {
+      reading++;
+      most = Math.max(most, reading);
+      return super.stream().pipeThrough(new TransformStream({
+        flush: function() { reading--; }
+      }));
+    }
+  }
+  const many = [];
+  for (let i = 0; i < 5; i++) {
+    many.push({ path: 'scan' + i + '.bin', data: new CountedBlob([new Uint8Array(200000).fill(i)]) });
+  }
+  const listed = await bundle.makeManifest(many);
+  if (most !== 1 || listed.files.map((f) => f.path).join() !== many.map((f) => f.path).join()) {
+    throw new Error(most + ' files read at once');
+  }
+  console.log('✓', listed.files.length, 'files hashed one at a time, in order');
+
+  console.log('\n✅ All bundle tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,104 @@
+/**
+ * Node.js test for passcode checksum words
+ */
+
+import { readFileSync } from 'fs';
+import keybearer from '../src/kb.js';
+import * as checksum from '../src/kb-checksum.js';
+
+console.log('=== Keybearer Checksum Word Test ===\n');
+
+const wordlist = readFileSync(new URL('../example/wordlists/wordlist.txt', import.meta.url), 'utf8').split('\n');
+keybearer.setWordlist(wordlist);
+
+try {
+  // Test 1: Generated passcodes check out on their own
+  console.log('Test 1: Generate passcodes with checksum words...');
+  const passcode = keybearer.makePassword(6, true);
+  if (passcode.split(' ').length !== 7 || !checksum.hasValidChecksum(passcode, wordlist)) {
+    throw new Error('Bad checksummed passcode: ' + passcode);
+  }
+  if (keybearer.makePassword(6, false).split(' ').length !== 6) throw new Error('Checksum word added anyway');
+  if (checksum.hasValidChecksum(keybearer.makePassword(6, false), wordlist) &&
+      checksum.hasValidChecksum(keybearer.makePassword(6, false), wordlist)) {
+    throw new Error('Passcodes without a checksum word pass');
+  }
+  console.log('✓', passcode);
+
+  // Test 2: Mistyped words are found and corrected
+  console.log('\nTest 2: Locate typos...');
+  const words = passcode.split(' ');
+  const fixable = words.findIndex((w) => w.length >= 4 && w[1] !== w[2]);
+  const typo = words.slice();
+  typo[fixable] = typo[fixable].slice(0, 1) + typo[fixable].slice(2, 3) + typo[fixable].slice(1, 2) + typo[fixable].slice(3);
+  const started = Date.now();
+  const found = keybearer.checkPasscodeChecksum(typo.join(' '));
+  if (found.valid || !found.suggestions.some((s) => s.index === fixable && s.words.includes(words[fixable]))) {
+    throw new Error('Transposition not located: ' + JSON.stringify(found));
+  }
+  console.log('✓ Transposed letters in word', fixable + 1, 'located in', Date.now() - started, 'ms');
+
+  const unknown = words.slice();
+  unknown[2] = 'qqqqqq';
+  const report = keybearer.checkPasscodeChecksum(unknown.join(' '));
+  if (report.valid || report.unknown.join() !== '2') throw new Error('Unknown word not reported');
+  console.log('✓ Word not in the wordlist reported');
+
+  let missed = 0;
+  for (let i = 0; i < 200; i++) {
+    const p = keybearer.makePassword(5, true).split(' ');
+    const replacement = wordlist[(i * 7919) % 44000].trim();
+    if (replacement === p[i % 6]) continue;
+    p[i % 6] = replacement;
+    if (checksum.hasValidChecksum(p.join(' '), wordlist)) missed++;
+  }
+  if (missed > 1) throw new Error(missed + ' substitutions went unnoticed');
+  console.log('✓ Random word substitutions caught');
+
+  // Test 3: Containers record checksummed passcodes and skip mistyped fields
+  console.log('\nTest 3: Decrypt with a mistyped passcode...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  const passcodes = [keybearer.makePassword(4, true), keybearer.makePassword(4, true), keybearer.makePassword(4, true)];
+  keybearer.setPlaintext(new TextEncoder().encode('secret'), 'f.txt', 'text/plain');
+  const json = keybearer.encryptWithPasswords(passcodes.slice(), 2);
+  if (JSON.parse(json).pck !== 1) throw new Error('Checksum flag not recorded');
+  keybearer.setCipherJSON(json);
+
+  const derive = keybearer.makeKeyFromPassword;
+  let derivations = 0;
+  keybearer.makeKeyFromPassword = function(p) {
+    derivations++;
+    return derive(p);
+  };
+  const entered = passcodes.slice();
+  const mistypedWords = entered[1].split(' ');
+  mistypedWords[0] = mistypedWords[0] + 'x';
+  entered[1] = mistypedWords.join(' ');
+  const result = keybearer.decryptKeysWithPasscodes(entered);
+  keybearer.makeKeyFromPassword = derive;
+  if (!result.success || result.mistyped.join() !== '1' || !result.rejected.includes(1)) {
+    throw new Error('Unexpected result: ' + JSON.stringify(result));
+  }
+  if (derivations !== 2) throw new Error('Mistyped passcode was derived');
+  console.log('✓ Field 2 flagged as mistyped without key derivation');
+
+  const withoutJson = keybearer.encryptWithPasswords(['alpha', 'beta'], 2);
+  if (JSON.parse(withoutJson).pck !== undefined) throw new Error('Flag set for plain passcodes');
+  const forged = JSON.parse(json);
+  delete forged.pck;
+  try {
+    keybearer.setCipherJSON(JSON.stringify(forged));
+    throw new Error('Stripped checksum flag was accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ Flag only set for checksummed passcodes, and authenticated');
+
+  console.log('\n✅ All checksum word tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,115 @@
+/**
+ * Node.js test for key commitment and key slot lookup
+ */
+
+import keybearer from '../src/kb.js';
+import * as noble from '../src/kb-noble.js';
+
+console.log('=== Keybearer Key Commitment Test ===\n');
+
+function decryptWith(json, passwords, m) {
+  keybearer.setCipherJSON(json);
+  keybearer.makeKeyCombinations(passwords, m);
+  if (!keybearer.decryptKeys()) return null;
+  keybearer.decryptCiphertext();
+  return new TextDecoder().decode(keybearer.getPlaintext());
+}
+
+try {
+  // Test 1: New containers commit to the master key and every slot key
+  console.log('Test 1: Encrypt with key commitment...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new TextEncoder().encode('Committed'), 'c.txt', 'text/plain');
+  const json = keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2);
+  const obj = JSON.parse(json);
+  if (!obj.pc || obj.keys.some(slot => !slot.c)) {
+    throw new Error('Container is missing commitment tags');
+  }
+  console.log('✓ Payload commitment and', obj.keys.length, 'slot commitments');
+  if (decryptWith(json, ['beta', 'gamma'], 2) !== 'Committed') {
+    throw new Error('Committed container did not decrypt');
+  }
+  console.log('✓ Round trip succeeded');
+
+  // Test 2: Slots that open under their key but hold a different master key
+  // (what a multi-key AEAD collision would produce) are not accepted
+  console.log('\nTest 2: Slots wrapping the wrong master key...');
+  for (const scheme of ['shamir', 'combinations']) {
+    keybearer.key_scheme = scheme;
+    keybearer.makeSalt();
+    const good = keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2);
+    const keys = keybearer._keys.slice();
+    keybearer.setCipherJSON(good);
+    const cobj = keybearer._cipherobj;
+    const aad = keybearer.getSlotAAD(cobj);
+    if (scheme === 'shamir') {
+      // Re-split an unrelated master key for the same holders
+      keybearer._keys = keys;
+      keybearer._master = noble.getRandomBytes(32);
+      keybearer.augmentWithEncryptedKeys(cobj);
+    } else {
+      for (const slot of cobj.keys) {
+        const key = keys.find(k => keybearer.checkSlotCommitment(cobj, k, slot));
+        slot.key = noble.encryptAEAD(cobj.mode, key, noble.getRandomBytes(32), slot.iv, aad).ciphertext;
+      }
+    }
+    const forged = keybearer.getCipherJSON();
+    if (decryptWith(forged, ['alpha', 'beta'], 2) !== null) {
+      throw new Error(scheme + ': wrong master key was accepted');
+    }
+    console.log('✓', scheme, 'slots are rejected by the payload commitment');
+  }
+  keybearer.key_scheme = 'shamir';
+
+  // Test 3: A slot commitment that does not match the key skips the slot
+  console.log('\nTest 3: Mismatched slot commitments...');
+  const swapped = JSON.parse(json);
+  swapped.keys.forEach(slot => { slot.c = noble.encodeBase64(noble.getRandomBytes(32)); });
+  if (decryptWith(JSON.stringify(swapped), ['alpha', 'beta'], 2) !== null) {
+    throw new Error('Slots with foreign commitments were opened');
+  }
+  console.log('✓ No slot is opened without a matching commitment');
+
+  const uncommitted = JSON.parse(json);
+  uncommitted.keys.forEach(slot => { delete slot.c; });
+  if (decryptWith(JSON.stringify(uncommitted), ['alpha', 'beta'], 2) !== null) {
+    throw new Error('Slots with stripped commitments were opened');
+  }
+  console.log('✓ Stripped slot commitments are rejected');
+
+  // Test 4: Lookup tags point each derived key straight at its slot
+  console.log('\nTest 4: Key slot lookup tags...');
+  keybearer.setCipherJSON(json);
+  keybearer.makeKeyCombinations(['alpha', 'beta', 'gamma'], 1);
+  const index = keybearer.indexSlots(keybearer._cipherobj);
+  for (const key of keybearer._keys) {
+    const slots = keybearer.findSlots(keybearer._cipherobj, index, key);
+    if (slots.length !== 1 || !keybearer.checkSlotCommitment(keybearer._cipherobj, key, slots[0])) {
+      throw new Error('Lookup tag did not find the right slot');
+    }
+  }
+  console.log('✓ Every key finds exactly its own slot');
+
+  keybearer.makeSalt();
+  const other = JSON.parse(keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2));
+  const tags = new Set(obj.keys.map(slot => slot.t));
+  if (other.keys.some(slot => tags.has(slot.t))) {
+    throw new Error('Lookup tags repeat across containers');
+  }
+  console.log('✓ Same passcodes give unrelated tags in another container');
+
+  const untagged = JSON.parse(json);
+  untagged.keys.forEach(slot => { delete slot.t; });
+  if (decryptWith(JSON.stringify(untagged), ['gamma', 'alpha'], 2) !== 'Committed') {
+    throw new Error('Container without lookup tags did not decrypt');
+  }
+  console.log('✓ Containers without tags fall back to trying every slot');
+
+  console.log('\n✅ All key commitment tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,148 @@
+/**
+ * Node.js test for optional payload compression
+ */
+
+import keybearer from '../src/kb.js';
+import * as compress from '../src/kb-compress.js';
+import { Gzip } from 'fflate';
+
+console.log('=== Keybearer Compression Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+async function throughStream(bytes, transform, chunkSize) {
+  const source = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        controller.enqueue(bytes.subarray(i, i + chunkSize));
+      }
+      controller.close();
+    }
+  });
+  return new Uint8Array(await new Response(source.pipeThrough(transform)).arrayBuffer());
+}
+
+const text = new TextEncoder().encode('All work and no play makes Jack a dull boy.\n'.repeat(5000));
+
+try {
+  // Test 1: Native and fflate streams agree with the in-memory codec
+  console.log('Test 1: Compress and decompress...');
+  for (const format of compress.FORMATS) {
+    const packed = compress.compressBytes(text, format);
+    if (packed.length >= text.length / 10) throw new Error(format + ' barely compressed');
+    if (!same(compress.decompressBytes(packed, format, text.length), text)) {
+      throw new Error(format + ' in-memory round trip failed');
+    }
+    for (const native of [true, false]) {
+      const streamed = await throughStream(text, compress.compressTransform(format, native), 4096);
+      const back = await throughStream(streamed, compress.decompressTransform(format, text.length, native), 1000);
+      if (!same(back, text)) throw new Error(format + ' stream round trip failed');
+      if (!same(compress.decompressBytes(streamed, format, text.length), text)) {
+        throw new Error(format + ' stream output is not readable in memory');
+      }
+    }
+    console.log('✓', format, text.length, '->', packed.length, 'bytes');
+  }
+
+  // Test 2: Decompression bombs are stopped at the limit
+  console.log('\nTest 2: Decompression limit...');
+  const bomb = compress.compressBytes(new Uint8Array(10000000), 'gzip');
+  for (const attempt of [
+    () => compress.decompressBytes(bomb, 'gzip', 1000000),
+    () => throughStream(bomb, compress.decompressTransform('gzip', 1000000, false), 4096),
+    () => throughStream(bomb, compress.decompressTransform('gzip', 1000000, true), 4096)
+  ]) {
+    try {
+      await attempt();
+      throw new Error('Decompression bomb was not stopped');
+    } catch (err) {
+      if (err.name !== 'DecompressionLimitError') throw err;
+    }
+  }
+  console.log('✓', bomb.length, 'byte bomb rejected with DecompressionLimitError');
+
+  // 400 MB of zeros in a few hundred KB: the in-memory path must stop near the limit, not inflate it all
+  const zeros = new Uint8Array(1 << 20);
+  const parts = [];
+  const gzip = new Gzip({ level: 9 }, function(chunk) { parts.push(chunk); });
+  for (let i = 0; i < 400; i++) gzip.push(zeros, i === 399);
+  const bigBomb = new Uint8Array(await new Blob(parts).arrayBuffer());
+  const peakBefore = process.resourceUsage().maxRSS;
+  try {
+    compress.decompressBytes(bigBomb, 'gzip', 1 << 20);
+    throw new Error('Large decompression bomb was not stopped');
+  } catch (err) {
+    if (err.name !== 'DecompressionLimitError') throw err;
+  }
+  const growth = (process.resourceUsage().maxRSS - peakBefore) / 1024;
+  if (growth > 64) throw new Error('Peak memory grew by ' + growth.toFixed(0) + ' MB');
+  console.log('✓', bigBomb.length, 'byte bomb for 400 MB stopped; peak memory grew by', growth.toFixed(0), 'MB');
+
+  // Test 3: Compressed containers, in memory and streamed
+  console.log('\nTest 3: Encrypt with compression...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.setCompression('deflate');
+  keybearer.makeSalt();
+  keybearer.setPlaintext(text, 'jack.txt', 'text/plain');
+  const json = keybearer.encryptWithPasswords(['alpha', 'beta'], 2);
+  if (JSON.parse(json).cmp !== 'deflate') throw new Error('Compression not recorded');
+  keybearer.setCipherJSON(json);
+  keybearer.makeKeyCombinations(['alpha', 'beta'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt master key');
+  keybearer.decryptCiphertext();
+  if (!same(keybearer.getPlaintext(), text)) throw new Error('In-memory payload mismatch');
+  console.log('✓ In memory:', JSON.parse(json).ct.length, 'base64 bytes of ct');
+
+  keybearer.setCompression('gzip');
+  keybearer.setPadding('padme');
+  keybearer.makeSalt();
+  keybearer.setPlaintextBlob(new Blob([text]), 'jack.txt', 'text/plain');
+  let last = 0;
+  const containerBlob = await keybearer.encryptWithPasswordsStream(['alpha', 'beta'], 2, function(fraction) {
+    last = fraction;
+  });
+  if (last !== 1) throw new Error('Progress ended at ' + last);
+  keybearer._plaintextBlob = null;
+  await keybearer.setCipherBlob(containerBlob);
+  keybearer.makeKeyCombinations(['alpha', 'beta'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt master key');
+  const blob = await keybearer.decryptToBlob();
+  if (!same(new Uint8Array(await blob.arrayBuffer()), text)) throw new Error('Streamed payload mismatch');
+  console.log('✓ Streamed', text.length, 'bytes into a', containerBlob.size, 'byte container');
+
+  keybearer.decompression_limit = 1000;
+  keybearer.makeKeyCombinations(['alpha', 'beta'], 2);
+  keybearer.decryptKeys();
+  try {
+    await keybearer.decryptToBlob();
+    throw new Error('Limit was not applied to the container');
+  } catch (err) {
+    if (err.name !== 'DecompressionLimitError') throw err;
+  }
+  keybearer.decompression_limit = 1073741824;
+  keybearer.setPadding('none');
+  console.log('✓ Container limit enforced');
+
+  // Test 4: The format is authenticated
+  console.log('\nTest 4: Tamper with the compression flag...');
+  keybearer.setCompression('deflate');
+  keybearer.makeSalt();
+  keybearer.setPlaintext(text, 'jack.txt', 'text/plain');
+  const forged = JSON.parse(keybearer.encryptWithPasswords(['alpha', 'beta'], 2));
+  delete forged.cmp;
+  try {
+    keybearer.setCipherJSON(JSON.stringify(forged));
+    throw new Error('Stripped compression flag was accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ Rejected with HeaderAuthError');
+  keybearer.setCompression('none');
+
+  console.log('\n✅ All compression tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,89 @@
+/**
+ * Node.js test for the binary .kbr container format
+ */
+
+import keybearer from '../src/kb.js';
+import * as noble from '../src/kb-noble.js';
+import * as container from '../src/kb-container.js';
+
+console.log('=== Keybearer Binary Container Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+function decryptLoaded(passwords) {
+  keybearer.makeKeyCombinations(passwords, 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to recover master key');
+  keybearer.decryptCiphertext();
+  return keybearer.getPlaintext();
+}
+
+try {
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  const fileBytes = noble.getRandomBytes(30000);
+  keybearer.setPlaintext(fileBytes, 'photo.jpg', 'image/jpeg');
+  const json = keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2);
+  const binary = keybearer.getCipherBinary();
+
+  // Test 1: Layout and size
+  console.log('Test 1: Binary container layout...');
+  console.log('✓ JSON:', json.length, 'bytes, binary:', binary.length, 'bytes');
+  if (!container.isBinaryContainer(binary) || binary[4] !== container.FORMAT_VERSION) {
+    throw new Error('Missing magic number or version');
+  }
+  if (binary.length >= json.length * 0.8) {
+    throw new Error('Binary container is not meaningfully smaller');
+  }
+
+  // Test 2: Conversion round trip
+  console.log('\nTest 2: Convert between forms...');
+  const converted = keybearer.jsonToBinary(json);
+  if (!same(converted, binary)) throw new Error('jsonToBinary does not match getCipherBinary');
+  if (keybearer.binaryToJSON(binary) !== json) throw new Error('binaryToJSON does not match JSON');
+  console.log('✓ JSON → binary → JSON is lossless');
+
+  // Test 3: Format auto-detection
+  console.log('\nTest 3: Auto-detect format on load...');
+  keybearer.setCipherData(binary.buffer);
+  if (!same(decryptLoaded(['alpha', 'gamma']), fileBytes)) throw new Error('Binary decrypt mismatch');
+  keybearer.setCipherData(new TextEncoder().encode(json));
+  if (!same(decryptLoaded(['beta', 'gamma']), fileBytes)) throw new Error('JSON bytes decrypt mismatch');
+  keybearer.setCipherData(json);
+  if (!same(decryptLoaded(['alpha', 'beta']), fileBytes)) throw new Error('JSON text decrypt mismatch');
+  console.log('✓ Binary, JSON bytes and JSON text all load');
+
+  // Test 4: Streamed binary container read back from a Blob
+  console.log('\nTest 4: Stream a binary container through Blobs...');
+  keybearer.setContainerFormat('binary');
+  keybearer.makeSalt();
+  keybearer.setPlaintextBlob(new Blob([fileBytes]), 'photo.jpg', 'image/jpeg');
+  const blob = await keybearer.encryptWithPasswordsStream(['alpha', 'beta', 'gamma'], 2);
+  keybearer.setContainerFormat('json');
+  await keybearer.setCipherBlob(blob);
+  keybearer.makeKeyCombinations(['alpha', 'beta'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to recover master key');
+  const out = await keybearer.decryptToBlob();
+  if (!same(new Uint8Array(await out.arrayBuffer()), fileBytes) || out.type !== 'image/jpeg') {
+    throw new Error('Streamed binary container mismatch');
+  }
+  console.log('✓ Decrypted', out.size, 'bytes of', out.type);
+
+  // Test 5: Corrupt containers are rejected
+  console.log('\nTest 5: Reject bad containers...');
+  const badVersion = binary.slice();
+  badVersion[4] = 99;
+  try {
+    keybearer.setCipherBinary(badVersion);
+    throw new Error('Unknown version was accepted');
+  } catch (err) {
+    if (!/version/.test(err.message)) throw err;
+    console.log('✓', err.message);
+  }
+
+  console.log('\n✅ All container tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
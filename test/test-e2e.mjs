@@ -1,4 +1,5 @@
 import keybearer from '../src/kb.js';
+import * as noble from '../src/kb-noble.js';
 
 console.log('=== End-to-End Encryption/Decryption Test ===\n');
 
@@ -54,12 +55,53 @@ try {
   console.log('   ✓ Ciphertext decrypted');
   console.log('   Result:', decrypted);
 
-  if (decrypted === 'Hello, Keybearer v2!') {
-    console.log('\n🎉 SUCCESS! All tests passed!');
-  } else {
+  if (decrypted !== 'Hello, Keybearer v2!') {
     throw new Error('Decryption mismatch!');
   }
 
+  // Step 5: Memory-hard KDF recorded in the container
+  console.log('\n5. Encrypting with scrypt...');
+  keybearer.setKDF({ name: 'scrypt', N: 1024, r: 8, p: 1 });
+  keybearer.makeSalt();
+  const scryptJSON = keybearer.encryptWithPasswords(passwords.slice(), threshold);
+  console.log('   KDF:', JSON.stringify(JSON.parse(scryptJSON).kdf));
+
+  keybearer.setKDF('pbkdf2');
+  keybearer.setCipherJSON(scryptJSON);
+  if (keybearer.getDerivationKDF().name !== 'scrypt' || keybearer.kdf !== 'pbkdf2') {
+    throw new Error('KDF was not picked up from the container, or replaced the setting');
+  }
+  keybearer.makeKeyCombinations(['gamma', 'beta'], threshold);
+  if (!keybearer.decryptKeys()) {
+    throw new Error('Failed to decrypt master key with scrypt');
+  }
+  keybearer.decryptCiphertext();
+  console.log('   ✓ Decrypted:', new TextDecoder().decode(keybearer.getPlaintext()));
+
+  // Step 6: Every cipher for payload and key slots
+  console.log('\n6. Encrypting with each cipher...');
+  keybearer.setKDF('pbkdf2');
+  keybearer.setPBKDF2Iterations(1000);
+  for (const mode of ['xchacha20poly1305', 'gcm', 'chacha20poly1305']) {
+    keybearer.setCipherMode(mode);
+    keybearer.makeSalt();
+    const json = keybearer.encryptWithPasswords(passwords.slice(), threshold);
+    const obj = JSON.parse(json);
+    keybearer.setCipherJSON(json);
+    keybearer.makeKeyCombinations(['alpha', 'gamma'], threshold);
+    if (!keybearer.decryptKeys()) {
+      throw new Error('Failed to decrypt master key with ' + mode);
+    }
+    keybearer.decryptCiphertext();
+    const text = new TextDecoder().decode(keybearer.getPlaintext());
+    if (text !== 'Hello, Keybearer v2!') {
+      throw new Error('Decryption mismatch with ' + mode);
+    }
+    console.log('   ✓', obj.mode + '/' + obj.cipher, 'nonce prefix', noble.decodeBase64(obj.iv).length, 'bytes');
+  }
+
+  console.log('\n🎉 SUCCESS! All tests passed!');
+
 } catch (err) {
   console.error('\n❌ ERROR:', err.message);
   console.error(err.stack);
@@ -0,0 +1,109 @@
+/**
+ * Node.js test for authenticated container headers
+ */
+
+import keybearer from '../src/kb.js';
+import * as noble from '../src/kb-noble.js';
+import * as header from '../src/kb-header.js';
+
+console.log('=== Keybearer Header Authentication Test ===\n');
+
+// Produced by Keybearer v2.0.0 (no header authentication), passcodes alpha/beta/gamma, 2 to unlock
+const V2_FIXTURE = '{"v":2,"mode":"chacha20poly1305","cipher":"chacha20","ts":128,"ks":256,"iter":1000,"adata":"","fn":"v2.txt","ft":"text/plain","nkeys":3,"nunlock":2,"salt":"HGFq/Zj4UM+92UY2OU+fEg==","iv":"3Km8S7mSoM2MlqRk","ct":"ENTnTLkyfnmgHflQfCogBEcFwUDO5IRaB3dChAaUL38D4mvt","keys":[{"iv":"39VNsCi0MS6l0ZpR","key":"lN3srPQf9Eey/yDIljv9nGiyOCfgYit+dx/g2DAn6KLqVRuvkUsTVjRz22dDpWHR"},{"iv":"iiE1XEqC1FNf/8Oa","key":"uvrsEjFpXG9GcgMdUZL95ehh485h6GMV3hrqX3Y+WofAUtTsHgePgF7hSHqS7W+G"},{"iv":"3ZCX/5IhLAUD9l9p","key":"8YNj7/h/kTiu+2Fh3en3GUunEplEsfmSiogsNUAE6o9f+/RAREFPYpro17O0pAit"}]}';
+
+function decryptWith(json, passwords, m) {
+  keybearer.setCipherJSON(json);
+  keybearer.makeKeyCombinations(passwords, m);
+  if (!keybearer.decryptKeys()) return null;
+  keybearer.decryptCiphertext();
+  return new TextDecoder().decode(keybearer.getPlaintext());
+}
+
+function expectHeaderError(json, label) {
+  try {
+    keybearer.setCipherJSON(json);
+  } catch (err) {
+    if (err.name === 'HeaderAuthError') {
+      console.log('✓', label, 'rejected with', err.name);
+      return;
+    }
+    throw err;
+  }
+  throw new Error(label + ' was not detected');
+}
+
+try {
+  // Test 1: Unauthenticated v2 files still decrypt
+  console.log('Test 1: Decrypt v2 fixture...');
+  const v2 = decryptWith(V2_FIXTURE, ['gamma', 'alpha'], 2);
+  if (v2 !== 'Hello from a v2 file') throw new Error('v2 fixture did not decrypt');
+  console.log('✓ Decrypted:', v2);
+
+  // Test 2: New containers carry an authenticated header
+  console.log('\nTest 2: Encrypt with authenticated header...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new TextEncoder().encode('Header test'), 'notes.txt', 'text/plain');
+  const json = keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2);
+  const obj = JSON.parse(json);
+  console.log('✓ Header version:', obj.hv, 'digest:', obj.hd);
+  if (decryptWith(json, ['alpha', 'beta'], 2) !== 'Header test') {
+    throw new Error('Authenticated container did not decrypt');
+  }
+  console.log('✓ Round trip succeeded');
+
+  // Test 3: Edited fields are reported as header tampering
+  console.log('\nTest 3: Tamper with header fields...');
+  expectHeaderError(JSON.stringify(Object.assign({}, obj, { fn: 'notes.exe' })), 'Renamed file');
+  expectHeaderError(JSON.stringify(Object.assign({}, obj, { iter: 10 })), 'Lowered iterations');
+  expectHeaderError(JSON.stringify(Object.assign({}, obj, { nunlock: 1 })), 'Lowered threshold');
+
+  // Test 4: Recomputing the digest does not get past the AEAD binding
+  console.log('\nTest 4: Tamper and recompute digest...');
+  const forged = Object.assign({}, obj, { fn: 'notes.exe' });
+  forged.salt = noble.decodeBase64(forged.salt);
+  forged.hd = header.headerDigest(forged);
+  forged.salt = obj.salt;
+  try {
+    decryptWith(JSON.stringify(forged), ['alpha', 'beta'], 2);
+    throw new Error('Forged header was accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ Key slots reject the forged header with HeaderAuthError');
+  try {
+    await keybearer.decrypt({ container: JSON.stringify(forged), passcodes: ['alpha', 'beta'] });
+    throw new Error('decrypt() accepted the forged header');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ decrypt() rejects with HeaderAuthError, not PasscodeError');
+  try {
+    await keybearer.rehearse(['alpha', 'beta']);
+    throw new Error('rehearse() accepted the forged header');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  if (keybearer.decryptKeysWithPasscodes(['delta', 'echo']).success) throw new Error('Wrong passcodes unlocked');
+  console.log('✓ rehearse() too; wrong passcodes still just fail');
+
+  // Test 5: Stripping the header version does not downgrade to unauthenticated
+  console.log('\nTest 5: Strip header version...');
+  const stripped = Object.assign({}, obj);
+  delete stripped.hv;
+  delete stripped.hd;
+  try {
+    decryptWith(JSON.stringify(stripped), ['alpha', 'beta'], 2);
+    throw new Error('Stripped header was accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ Key slots reject the stripped header with HeaderAuthError');
+
+  console.log('\n✅ All header tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,92 @@
+/**
+ * Node.js test for encrypted file metadata (inner header)
+ */
+
+import keybearer from '../src/kb.js';
+
+console.log('=== Keybearer Inner Header Test ===\n');
+
+try {
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.setEncryptMetadata(true);
+
+  // Test 1: Name and type stay out of the cleartext header
+  console.log('Test 1: Encrypt with hidden metadata...');
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new TextEncoder().encode('Terms'), 'divorce-settlement.pdf', 'application/pdf', 1700000000000);
+  const json = keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2);
+  const obj = JSON.parse(json);
+  if (json.includes('divorce') || json.includes('application/pdf') || obj.ih !== 1) {
+    throw new Error('Metadata leaked into the outer header');
+  }
+  console.log('✓ Outer header:', obj.fn, obj.ft);
+
+  // Test 2: The real values only appear after decryption
+  console.log('\nTest 2: Decrypt...');
+  keybearer.setCipherJSON(json);
+  if (keybearer.getFileName() !== 'encrypted' || keybearer.getFileSize() !== null) {
+    throw new Error('Real metadata available before decryption');
+  }
+  keybearer.makeKeyCombinations(['alpha', 'gamma'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt master key');
+  keybearer.decryptCiphertext();
+  const text = new TextDecoder().decode(keybearer.getPlaintext());
+  if (text !== 'Terms' || keybearer.getFileName() !== 'divorce-settlement.pdf' ||
+      keybearer.getFileType() !== 'application/pdf' || keybearer.getFileSize() !== 5 ||
+      keybearer.getFileModified() !== 1700000000000) {
+    throw new Error('Inner header was not restored');
+  }
+  console.log('✓ Restored', keybearer.getFileName(), keybearer.getFileType(), keybearer.getFileSize(), 'bytes');
+
+  // Test 3: Streaming encryption and Blob decryption
+  console.log('\nTest 3: Stream a File with hidden metadata...');
+  const content = new Uint8Array(200000).map((_, i) => i % 251);
+  const file = new File([content], 'scan.png', { type: 'image/png', lastModified: 1600000000000 });
+  keybearer.setContainerFormat('binary');
+  keybearer.makeSalt();
+  keybearer.setPlaintextBlob(file, file.name, file.type);
+  const containerBlob = await keybearer.encryptWithPasswordsStream(['alpha', 'beta', 'gamma'], 2);
+  keybearer.setContainerFormat('json');
+  keybearer._plaintextBlob = null;
+
+  await keybearer.setCipherBlob(containerBlob);
+  keybearer.makeKeyCombinations(['beta', 'gamma'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt master key');
+  const blob = await keybearer.decryptToBlob();
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (bytes.length !== content.length || !bytes.every((b, i) => b === content[i])) {
+    throw new Error('Streamed content mismatch');
+  }
+  if (blob.type !== 'image/png' || keybearer.getFileName() !== 'scan.png' ||
+      keybearer.getFileModified() !== 1600000000000) {
+    throw new Error('Streamed inner header was not restored');
+  }
+  console.log('✓ Restored', keybearer.getFileName(), blob.type, blob.size, 'bytes');
+
+  // Test 4: Dropping the flag is caught by the authenticated header
+  console.log('\nTest 4: Strip the inner header flag...');
+  const stripped = JSON.parse(json);
+  delete stripped.ih;
+  try {
+    keybearer.setCipherJSON(JSON.stringify(stripped));
+    throw new Error('Stripped flag was accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ Rejected with HeaderAuthError');
+
+  // Test 5: Off by default
+  keybearer.setEncryptMetadata(false);
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new TextEncoder().encode('Plain'), 'notes.txt', 'text/plain');
+  const plain = JSON.parse(keybearer.encryptWithPasswords(['alpha', 'beta'], 2));
+  if (plain.ih || plain.fn !== 'notes.txt') throw new Error('Metadata hidden without the option');
+  console.log('✓ Without the option the name stays in the outer header');
+
+  console.log('\n✅ All inner header tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -65,6 +65,76 @@ try {
   const allValid = randoms.every(n => n >= 0 && n < 100);
   console.log('  All in range [0, 100):', allValid);
 
+  // Test 7: Memory-hard KDFs
+  console.log('\nTest 7: KDF selection...');
+  const viaPbkdf2 = noble.deriveKey(password, salt, { name: 'pbkdf2', c: 10000 }, 32);
+  if (noble.encodeBase64(viaPbkdf2) !== noble.encodeBase64(key)) {
+    throw new Error('deriveKey(pbkdf2) does not match deriveKeyFromPassword');
+  }
+  console.log('✓ PBKDF2 via deriveKey matches');
+  const argon = noble.deriveKey(password, salt, { name: 'argon2id', t: 1, m: 256, p: 1 }, 32);
+  const scryptKey = noble.deriveKey(password, salt, { name: 'scrypt', N: 1024, r: 8, p: 1 }, 32);
+  console.log('✓ Argon2id key:', argon.length, 'bytes, scrypt key:', scryptKey.length, 'bytes');
+  if (noble.encodeBase64(argon) === noble.encodeBase64(scryptKey)) {
+    throw new Error('Different KDFs produced the same key');
+  }
+
+  // Test 8: Known-answer tests for every registered cipher
+  console.log('\nTest 8: Cipher known-answer tests...');
+  const hex = str => Uint8Array.from(str.match(/../g), h => parseInt(h, 16));
+  const sunscreen = new TextEncoder().encode(
+    "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it."
+  );
+  const kats = [
+    {
+      // RFC 8439, section 2.8.2
+      mode: 'chacha20poly1305',
+      key: hex('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f'),
+      nonce: hex('070000004041424344454647'),
+      aad: hex('50515253c0c1c2c3c4c5c6c7'),
+      pt: sunscreen,
+      ct: hex('d31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d63dbea45e8ca9671282fafb69da92728b' +
+        '1a71de0a9e060b2905d6a5b67ecd3b3692ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc3ff4' +
+        'def08e4b7a9de576d26586cec64b6116' + '1ae10b594f09e26a7e902ecbd0600691')
+    },
+    {
+      // draft-irtf-cfrg-xchacha-03, appendix A.3.1
+      mode: 'xchacha20poly1305',
+      key: hex('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f'),
+      nonce: hex('404142434445464748494a4b4c4d4e4f5051525354555657'),
+      aad: hex('50515253c0c1c2c3c4c5c6c7'),
+      pt: sunscreen,
+      ct: hex('bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb731c7f1b0b4aa6440bf3a82f4eda7e39' +
+        'ae64c6708c54c216cb96b72e1213b4522f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff921f9' +
+        '664c97637da9768812f615c68b13b52e' + 'c0875924c1c7987947deafd8780acf49')
+    },
+    {
+      // McGrew & Viega, "The Galois/Counter Mode of Operation", test case 16
+      mode: 'gcm',
+      key: hex('feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308'),
+      nonce: hex('cafebabefacedbaddecaf888'),
+      aad: hex('feedfacedeadbeeffeedfacedeadbeefabaddad2'),
+      pt: hex('d9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525' +
+        'b16aedf5aa0de657ba637b39'),
+      ct: hex('522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa8cb08e48590dbb3da7b08b1056828838' +
+        'c5f61e6393ba7a0abcc9f662' + '76fc6ece0f4e1768cddf8853bb2d551b')
+    }
+  ];
+  for (const kat of kats) {
+    const enc = noble.encryptAEAD(kat.mode, kat.key, kat.pt, kat.nonce, kat.aad).ciphertext;
+    if (noble.encodeBase64(enc) !== noble.encodeBase64(kat.ct)) {
+      throw new Error(kat.mode + ' ciphertext does not match the known answer');
+    }
+    const dec = noble.decryptAEAD(kat.mode, kat.key, kat.ct, kat.nonce, kat.aad);
+    if (noble.encodeBase64(dec) !== noble.encodeBase64(kat.pt)) {
+      throw new Error(kat.mode + ' plaintext does not match the known answer');
+    }
+    console.log('✓', kat.mode, 'matches its known answer');
+  }
+  if (Object.keys(noble.CIPHERS).some(mode => !kats.some(kat => kat.mode === mode))) {
+    throw new Error('A registered cipher has no known-answer test');
+  }
+
   console.log('\n✅ All Noble crypto tests passed!');
 
 } catch (err) {
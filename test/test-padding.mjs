@@ -0,0 +1,131 @@
+/**
+ * Node.js test for length-hiding payload padding
+ */
+
+import keybearer from '../src/kb.js';
+import * as padding from '../src/kb-padding.js';
+
+console.log('=== Keybearer Padding Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+async function throughStream(bytes, transform, chunkSize) {
+  const source = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        controller.enqueue(bytes.subarray(i, i + chunkSize));
+      }
+      controller.close();
+    }
+  });
+  return new Uint8Array(await new Response(source.pipeThrough(transform)).arrayBuffer());
+}
+
+try {
+  // Test 1: Padded lengths
+  console.log('Test 1: Padded lengths...');
+  const cases = [
+    [{ name: 'padme' }, 1000, 1024],
+    [{ name: 'padme' }, 1000000, 1015808],
+    [{ name: 'pow2' }, 1000, 1024],
+    [{ name: 'pow2' }, 1025, 2048],
+    [{ name: 'fixed', size: 4096 }, 1000, 4096],
+    [{ name: 'fixed', size: 4096 }, 5000, 8192]
+  ];
+  for (const [pad, length, expected] of cases) {
+    const got = padding.paddedLength(length, pad);
+    if (got !== expected) throw new Error(pad.name + '(' + length + ') = ' + got + ', expected ' + expected);
+  }
+  for (let length = 2; length < 200000; length += 997) {
+    const padded = padding.paddedLength(length, { name: 'padme' });
+    if (padded < length || padded > length * 1.12) throw new Error('Padmé overhead out of range at ' + length);
+  }
+  console.log('✓ Padmé, power-of-two and fixed buckets');
+
+  // Test 2: Padding round trips, also for data that looks like padding
+  console.log('\nTest 2: Pad and unpad...');
+  const tricky = new Uint8Array(70000);
+  tricky[0] = 7;
+  tricky[69990] = 0x80;
+  for (const data of [new Uint8Array(0), new Uint8Array([0x80, 0, 0]), tricky]) {
+    for (const pad of [{ name: 'padme' }, { name: 'pow2' }, { name: 'fixed', size: 1000 }]) {
+      if (!same(padding.unpadBytes(padding.padBytes(data, pad)), data)) {
+        throw new Error('In-memory round trip failed for ' + pad.name);
+      }
+      for (const chunkSize of [1, 333, 65536]) {
+        if (chunkSize === 1 && data.length > 1000) continue;
+        const padded = await throughStream(data, padding.padTransform(pad), chunkSize);
+        if (!same(padded, padding.padBytes(data, pad))) throw new Error('Stream padding differs');
+        const unpadded = await throughStream(padded, padding.unpadTransform(), chunkSize);
+        if (!same(unpadded, data)) throw new Error('Stream round trip failed for ' + pad.name);
+      }
+    }
+  }
+  console.log('✓ In-memory and streamed padding round trip');
+
+  // Test 3: Containers of different-size files look the same
+  console.log('\nTest 3: Encrypt with padding...');
+  keybearer.setPBKDF2Iterations(1000);
+  for (const pad of ['pow2', { name: 'fixed', size: 4096 }, 'padme']) {
+    keybearer.setPadding(pad);
+    const lengths = [];
+    for (const size of [600, 1000]) {
+      keybearer.makeSalt();
+      keybearer.setPlaintext(new Uint8Array(size).fill(1), 'f.bin', 'application/octet-stream');
+      const json = keybearer.encryptWithPasswords(['alpha', 'beta'], 2);
+      lengths.push(JSON.parse(json).ct.length);
+      keybearer.setCipherJSON(json);
+      keybearer.makeKeyCombinations(['alpha', 'beta'], 2);
+      if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt master key');
+      keybearer.decryptCiphertext();
+      if (keybearer.getPlaintext().length !== size) throw new Error('Padding was not removed');
+    }
+    const name = typeof pad === 'string' ? pad : pad.name;
+    if (name !== 'padme' && lengths[0] !== lengths[1]) {
+      throw new Error(name + ' containers differ in size');
+    }
+    console.log('✓', name, 'ct lengths', lengths.join(' and '));
+  }
+
+  // Test 4: Streaming with padding and hidden metadata
+  console.log('\nTest 4: Stream with padding...');
+  keybearer.setPadding({ name: 'fixed', size: 100000 });
+  keybearer.setEncryptMetadata(true);
+  keybearer.makeSalt();
+  const content = new Uint8Array(150000).map((_, i) => (i * 7) % 256);
+  keybearer.setPlaintextBlob(new Blob([content]), 'big.bin', 'application/x-test');
+  const containerBlob = await keybearer.encryptWithPasswordsStream(['alpha', 'beta'], 2);
+  keybearer._plaintextBlob = null;
+  await keybearer.setCipherBlob(containerBlob);
+  keybearer.makeKeyCombinations(['alpha', 'beta'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt master key');
+  const blob = await keybearer.decryptToBlob();
+  if (!same(new Uint8Array(await blob.arrayBuffer()), content) || blob.type !== 'application/x-test') {
+    throw new Error('Streamed padded payload mismatch');
+  }
+  console.log('✓ Streamed', blob.size, 'bytes through', keybearer._cipherobj.ct.length, 'bytes of ct');
+  keybearer.setEncryptMetadata(false);
+
+  // Test 5: The scheme is authenticated
+  console.log('\nTest 5: Tamper with the padding scheme...');
+  keybearer.setPadding('pow2');
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new Uint8Array(10), 'f.bin', 'application/octet-stream');
+  const forged = JSON.parse(keybearer.encryptWithPasswords(['alpha', 'beta'], 2));
+  delete forged.pad;
+  try {
+    keybearer.setCipherJSON(JSON.stringify(forged));
+    throw new Error('Stripped padding scheme was accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ Rejected with HeaderAuthError');
+  keybearer.setPadding('none');
+
+  console.log('\n✅ All padding tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,77 @@
+/**
+ * Node.js test for decrypting with more passcodes than the threshold
+ */
+
+import keybearer from '../src/kb.js';
+
+console.log('=== Keybearer Passcode Subset Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+try {
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.setPlaintext(new TextEncoder().encode('Subsets'), 's.txt', 'text/plain');
+  const passwords = ['alpha', 'beta', 'gamma', 'delta', 'epsilon'];
+
+  for (const scheme of ['shamir', 'combinations']) {
+    console.log('Scheme:', scheme);
+    keybearer.key_scheme = scheme;
+    keybearer.makeSalt();
+    const json = keybearer.encryptWithPasswords(passwords.slice(), 3);
+
+    // Test 1: One typo among four entered passcodes still unlocks
+    keybearer.setCipherJSON(json);
+    let result = keybearer.decryptKeysWithPasscodes(['alpha', 'btea', '', 'delta', 'epsilon']);
+    if (!result.success || !same(result.used, [0, 3, 4])) {
+      throw new Error('Expected fields 0, 3 and 4 to unlock, got ' + JSON.stringify(result));
+    }
+    keybearer.decryptCiphertext();
+    console.log('✓ Unlocked with fields', result.used.join(', '), '→',
+      new TextDecoder().decode(keybearer.getPlaintext()));
+    if (scheme === 'shamir' && !same(result.rejected, [1])) {
+      throw new Error('Expected field 1 to be rejected, got ' + result.rejected);
+    }
+
+    // Test 2: Too few good passcodes reports the fields that cannot help
+    keybearer.setCipherJSON(json);
+    result = keybearer.decryptKeysWithPasscodes(['alpha', 'wrong', 'gamma', 'typo']);
+    if (result.success) throw new Error('Unlocked with only two valid passcodes');
+    const expected = scheme === 'shamir' ? [1, 3] : [0, 1, 2, 3];
+    if (!same(result.rejected, expected)) {
+      throw new Error('Expected rejected fields ' + expected + ', got ' + result.rejected);
+    }
+    console.log('✓ Failure reports fields', result.rejected.join(', '));
+
+    // Test 3: Entering one passcode twice does not count as two holders
+    keybearer.setCipherJSON(json);
+    result = keybearer.decryptKeysWithPasscodes(['alpha', 'alpha', 'gamma']);
+    if (result.success) throw new Error('A repeated passcode counted twice');
+    console.log('✓ Repeated passcode is not enough');
+  }
+  keybearer.key_scheme = 'shamir';
+
+  // Test 4: Every passcode of a large group entered: the search stays linear in the holders
+  console.log('\nLarge group:');
+  const holders = Array.from({ length: 24 }, (_, i) => 'holder ' + i);
+  keybearer.makeSalt();
+  keybearer.setCipherJSON(keybearer.encryptWithPasswords(holders.slice(), 12));
+  const started = Date.now();
+  const all = keybearer.decryptKeysWithPasscodes(holders);
+  const elapsed = Date.now() - started;
+  if (!all.success || !same(all.used, holders.slice(0, 12).map((_, i) => i))) {
+    throw new Error('Expected the first 12 fields to unlock, got ' + JSON.stringify(all));
+  }
+  if (elapsed > 2000) throw new Error('12 of 24 took ' + elapsed + ' ms');
+  const repeated = keybearer.decryptKeysWithPasscodes([holders[0]].concat(holders.slice(0, 12)));
+  if (!repeated.success || !same(repeated.used, [0, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12])) {
+    throw new Error('Repeated field not pruned: ' + JSON.stringify(repeated));
+  }
+  console.log('✓ 12 of 24 with all entered in', elapsed, 'ms; a repeated passcode is pruned');
+
+  console.log('\n✅ All passcode subset tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
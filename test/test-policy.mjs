@@ -0,0 +1,153 @@
+/**
+ * Node.js test for weighted and nested threshold access policies
+ */
+
+import keybearer from '../src/kb.js';
+import * as policy from '../src/kb-policy.js';
+import * as noble from '../src/kb-noble.js';
+
+console.log('=== Keybearer Access Policy Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+try {
+  // Test 1: Exactly the qualifying sets recover the secret
+  console.log('Test 1: Executor weight 2, three siblings weight 1, threshold 3...');
+  const pol = policy.policyHeader({
+    threshold: 3,
+    holders: [{ passcode: 'exec', weight: 2 }, { passcode: 's1' }, { passcode: 's2' }, { passcode: 's3' }]
+  });
+  const secret = noble.getRandomBytes(32);
+  const slots = policy.splitPolicy(secret, pol);
+  if (new Set(slots.map(slot => slot.length)).size !== 1) {
+    throw new Error('Slot sizes give away weights');
+  }
+  for (let mask = 1; mask < 16; mask++) {
+    const members = [0, 1, 2, 3].filter(i => mask & (1 << i));
+    const weight = members.reduce((sum, i) => sum + pol.m[i].w, 0);
+    const recovered = policy.recoverPolicy(pol, members.map(i => slots[i]), 32);
+    const ok = recovered !== null && same(recovered, secret);
+    if (ok !== (weight >= 3)) {
+      throw new Error('Holders ' + members + ' (weight ' + weight + ') ' + (ok ? 'unlocked' : 'did not unlock'));
+    }
+  }
+  console.log('✓ All 15 sets of holders unlock exactly when their weight reaches 3');
+  console.log('✓ Fewest holders that can unlock:', policy.minHolders(pol));
+
+  // Test 2: Round trip through keybearer
+  console.log('\nTest 2: Encrypt with a weighted policy...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new TextEncoder().encode('Estate plan'), 'will.txt', 'text/plain');
+  const json = keybearer.encryptWithPolicy({
+    threshold: 3,
+    holders: [{ passcode: 'exec', weight: 2 }, { passcode: 's1' }, { passcode: 's2' }, { passcode: 's3' }]
+  });
+  const obj = JSON.parse(json);
+  console.log('✓ Policy:', JSON.stringify(obj.pol));
+
+  keybearer.setCipherJSON(json);
+  let result = keybearer.decryptKeysWithPasscodes(['s2', 'wrong', 'exec']);
+  if (!result.success || !same(result.used, [0, 2]) || !same(result.rejected, [1])) {
+    throw new Error('Executor and one sibling should unlock, got ' + JSON.stringify(result));
+  }
+  keybearer.decryptCiphertext();
+  console.log('✓ Executor and a sibling decrypt:', new TextDecoder().decode(keybearer.getPlaintext()));
+
+  keybearer.setCipherJSON(json);
+  if (!keybearer.decryptKeysWithPasscodes(['s1', 's2', 's3']).success) {
+    throw new Error('Three siblings should unlock');
+  }
+  keybearer.setCipherJSON(json);
+  keybearer.makeKeyCombinations(['s3', 's1', 's2'], 3);
+  if (!keybearer.decryptKeys()) throw new Error('decryptKeys() does not follow the policy');
+  console.log('✓ Three siblings decrypt');
+
+  keybearer.setCipherJSON(json);
+  result = keybearer.decryptKeysWithPasscodes(['exec', 'exec']);
+  if (result.success) throw new Error('The executor alone unlocked');
+  keybearer.setCipherJSON(json);
+  if (keybearer.decryptKeysWithPasscodes(['s1', 's3']).success) {
+    throw new Error('Two siblings unlocked');
+  }
+  console.log('✓ The executor alone, or two siblings, do not');
+
+  // Test 3: The policy is part of the authenticated header
+  console.log('\nTest 3: Tamper with the policy...');
+  const forged = JSON.parse(json);
+  forged.pol.m[1].w = 2;
+  try {
+    keybearer.setCipherJSON(JSON.stringify(forged));
+    throw new Error('Edited policy was accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  console.log('✓ Edited weights are rejected');
+
+  // Test 4: Nested groups, "2 of 3 family members and 1 of 2 attorneys"
+  console.log('\nTest 4: Nested group policy...');
+  keybearer.makeSalt();
+  const nested = keybearer.encryptWithPolicy({
+    threshold: 2,
+    holders: [
+      { name: 'family', threshold: 2, holders: [{ passcode: 'f1' }, { passcode: 'f2' }, { passcode: 'f3' }] },
+      { name: 'attorneys', threshold: 1, holders: [{ passcode: 'a1' }, { passcode: 'a2' }] }
+    ]
+  });
+  const nestedObj = JSON.parse(nested);
+  if (nestedObj.nkeys !== 5 || nestedObj.keys.length !== 5) throw new Error('Expected one slot per holder');
+  if (new Set(nestedObj.keys.map(slot => slot.key.length)).size !== 1) {
+    throw new Error('Slot sizes give away group membership');
+  }
+  keybearer.setCipherJSON(nested);
+  result = keybearer.decryptKeysWithPasscodes(['f3', 'a2', 'f1', 'a1']);
+  if (!result.success || !same(result.used, [0, 1, 2])) {
+    throw new Error('Two family members and an attorney should unlock, got ' + JSON.stringify(result));
+  }
+  keybearer.decryptCiphertext();
+  console.log('✓ Two family members and an attorney decrypt:', new TextDecoder().decode(keybearer.getPlaintext()));
+
+  keybearer.setCipherJSON(nested);
+  result = keybearer.decryptKeysWithPasscodes(['f1', 'f2', 'f3']);
+  if (result.success) throw new Error('The family alone unlocked');
+  const status = Object.fromEntries(result.groups.map(g => [g.name, g.have + '/' + g.need + (g.open ? ' open' : '')]));
+  if (status[''] !== '1/2' || status.family !== '3/2 open' || status.attorneys !== '0/1') {
+    throw new Error('Unexpected group status ' + JSON.stringify(status));
+  }
+  console.log('✓ The family alone does not; status:', JSON.stringify(status));
+
+  keybearer.setCipherJSON(nested);
+  if (keybearer.decryptKeysWithPasscodes(['f2', 'a1', 'a2']).success) {
+    throw new Error('One family member and both attorneys unlocked');
+  }
+  console.log('✓ One family member and both attorneys do not');
+
+  // Test 5: "The CFO plus any 2 directors", checked against every set of holders
+  console.log('\nTest 5: Holder and group at the same level...');
+  const cfoPol = policy.policyHeader({
+    threshold: 2,
+    holders: [
+      { passcode: 'cfo' },
+      { name: 'directors', threshold: 2, holders: [{ passcode: 'd1' }, { passcode: 'd2' }, { passcode: 'd3' }] }
+    ]
+  });
+  const cfoSlots = policy.splitPolicy(secret, cfoPol);
+  for (let mask = 1; mask < 16; mask++) {
+    const members = [0, 1, 2, 3].filter(i => mask & (1 << i));
+    const directors = members.filter(i => i > 0).length;
+    const recovered = policy.recoverPolicy(cfoPol, members.map(i => cfoSlots[i]), 32);
+    const ok = recovered !== null && same(recovered, secret);
+    if (ok !== (members.includes(0) && directors >= 2)) {
+      throw new Error('Holders ' + members + (ok ? ' unlocked' : ' did not unlock'));
+    }
+  }
+  console.log('✓ Only the CFO with two directors unlocks; fewest holders:', policy.minHolders(cfoPol));
+  if (policy.minHolders(cfoPol) !== 3) throw new Error('Expected 3 holders at least');
+
+  console.log('\n✅ All access policy tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
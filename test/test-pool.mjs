@@ -0,0 +1,120 @@
+/**
+ * Node.js test for parallel key derivation in a worker pool
+ */
+
+import { createKeybearer } from '../src/kb.js';
+import { createKeyPool } from '../src/kb-pool.js';
+import { getEventListeners } from 'events';
+
+console.log('=== Keybearer Key Pool Test ===\n');
+
+const url = new URL('../src/kb-derive-worker.js', import.meta.url);
+const passwords = ['alpha', 'bravo', 'charlie', 'delta', 'echo'];
+const content = new TextEncoder().encode('Deed to the cabin, drawer 3. '.repeat(1000));
+
+// Seeded stand-in for crypto.getRandomValues(), so that two encryptions make the same random choices
+const getRandomValues = crypto.getRandomValues.bind(crypto);
+function seedRandom(seed) {
+  crypto.getRandomValues = function(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    for (let i = 0; i < bytes.length; i++) {
+      seed = (seed * 1103515245 + 12345) >>> 0;
+      bytes[i] = seed >>> 24;
+    }
+    return array;
+  };
+}
+
+function encrypt(pool) {
+  const session = createKeybearer({ pbkdf2_iterations: 2000, key_scheme: 'combinations', passcode_verifiers: true });
+  session.setKeyPool(pool);
+  seedRandom(42);
+  session.makeSalt();
+  session.setPlaintext(content, 'cabin.txt', 'text/plain');
+  const progress = [];
+  return session.encryptWithPasswordsStream(passwords.slice(), 3, function(fraction, stage) {
+    if (!stage) progress.push(fraction);
+  }).then(function(blob) {
+    crypto.getRandomValues = getRandomValues;
+    return blob.text();
+  }).then(function(text) {
+    return { session: session, text: text, progress: progress };
+  });
+}
+
+const pool = createKeyPool({ size: 3, url: url });
+
+try {
+  // Test 1: Keys and container match single-threaded derivation
+  console.log('Test 1: Pool output matches single-threaded output...');
+  const single = await encrypt(null);
+  const parallel = await encrypt(pool);
+  if (parallel.session._keys.length !== 10 || parallel.session._verifiers.length !== 5) {
+    throw new Error('Expected 10 combination keys and 5 verifiers');
+  }
+  if (parallel.text !== single.text) throw new Error('Containers differ');
+  console.log('✓ 3 of 5: 15 keys derived by 3 workers, container identical byte for byte');
+
+  // Test 2: Progress is aggregated over the workers
+  console.log('\nTest 2: Progress...');
+  const steps = parallel.progress;
+  if (steps[0] !== 0 || steps[steps.length - 1] !== 1 || steps.some((f, i) => i > 0 && f < steps[i - 1])) {
+    throw new Error('Progress not monotonic: ' + steps);
+  }
+  if (steps.filter((f) => f > 0 && f < 1).length !== 14) throw new Error('Expected a step per key');
+  console.log('✓', steps.length, 'steps from 0 to 1');
+
+  // Test 3: The container opens, and aborting stops the pool's queue
+  console.log('\nTest 3: Decrypt and abort...');
+  const reader = createKeybearer();
+  reader.setCipherJSON(parallel.text);
+  if (!reader.decryptKeysWithPasscodes(['echo', 'alpha', 'charlie']).success) throw new Error('Container does not open');
+  const controller = new AbortController();
+  const aborted = pool.deriveKeys(passwords, parallel.session._salt, { name: 'pbkdf2', c: 200000 }, 32,
+    function() { controller.abort(); }, controller.signal);
+  try {
+    await aborted;
+    throw new Error('Abort ignored');
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err;
+  }
+  console.log('✓ Opens with 3 passcodes; abort rejected with AbortError');
+
+  const finished = new AbortController();
+  await pool.deriveKeys(passwords, parallel.session._salt, { name: 'pbkdf2', c: 1000 }, 32, null, finished.signal);
+  if (getEventListeners(finished.signal, 'abort').length) throw new Error('Abort listeners left behind');
+  console.log('✓ Abort listeners removed once the keys are in');
+
+  // Test 4: A crashed worker leaves the pool; jobs never hang on it
+  console.log('\nTest 4: Crashed workers...');
+  const crashing = createKeyPool({
+    size: 2,
+    url: 'data:text/javascript,' + encodeURIComponent(
+      'self.onmessage = function(event) {' +
+      '  if (event.data.password === "crash") throw new Error("Worker crashed");' +
+      '  setTimeout(function() { self.postMessage({ key: new Uint8Array(event.data.keyLength) }); }, 50);' +
+      '};')
+  });
+  const settle = (promise) => Promise.race([
+    promise.then(() => 'resolved', (err) => err.message),
+    new Promise((resolve) => setTimeout(resolve, 5000, 'hung'))
+  ]);
+  const withCrash = await settle(crashing.deriveKeys(['crash', 'a', 'b', 'c'], new Uint8Array(16), {}, 32));
+  if (withCrash !== 'Worker crashed') throw new Error('Crash reported as: ' + withCrash);
+  const survivor = await settle(crashing.deriveKeys(['d', 'e', 'f'], new Uint8Array(16), {}, 32));
+  if (survivor !== 'resolved') throw new Error('Remaining worker did not take the jobs: ' + survivor);
+  await settle(crashing.deriveKeys(['crash'], new Uint8Array(16), {}, 32));
+  const none = await settle(crashing.deriveKeys(['g'], new Uint8Array(16), {}, 32));
+  if (none !== 'Every key derivation worker has failed') throw new Error('Empty pool answered: ' + none);
+  await crashing.terminate();
+  console.log('✓ Crash rejects its job; the other worker carries on; an empty pool rejects');
+
+  await pool.terminate();
+  console.log('\n✅ All key pool tests passed!');
+
+} catch (err) {
+  await pool.terminate();
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,103 @@
+/**
+ * Node.js test for decryption rehearsals (drills)
+ */
+
+import keybearer from '../src/kb.js';
+
+console.log('=== Keybearer Rehearsal Test ===\n');
+
+const passwords = ['alpha', 'bravo', 'charlie'];
+const content = new TextEncoder().encode('The combination is 12-34-56.'.repeat(5000));
+
+function encrypt(segmentSize) {
+  keybearer.segment_size = segmentSize;
+  keybearer.makeSalt();
+  keybearer.setPlaintext(content, 'vault.txt', 'text/plain');
+  const json = keybearer.encryptWithPasswords(passwords.slice(), 2);
+  keybearer._plaintext = null;
+  return json;
+}
+
+// Keep a reference to the recovered master key to see that it gets wiped
+let master = null;
+const recover = keybearer.decryptKeysWithPasscodes;
+keybearer.decryptKeysWithPasscodes = function(passcodes, callback) {
+  const result = recover(passcodes, callback);
+  master = keybearer._master;
+  return result;
+};
+
+try {
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.setEncryptMetadata(true);
+
+  // Test 1: A quorum passes the drill, segmented and single-message payloads
+  console.log('Test 1: Rehearse with a quorum...');
+  for (const segmentSize of [65536, 0]) {
+    keybearer.setCipherJSON(encrypt(segmentSize));
+    const result = await keybearer.rehearse(['', 'charlie', 'wrong', 'alpha']);
+    if (!result.success || result.fn !== 'vault.txt' || result.size !== content.length) {
+      throw new Error('Unexpected result: ' + JSON.stringify(result));
+    }
+    if (result.used.join() !== '1,3' || result.rejected.join() !== '2') throw new Error('Fields misreported');
+    if (keybearer._master !== null || !master.every((b) => b === 0)) throw new Error('Master key not wiped');
+    if (keybearer.getPlaintext() !== null) throw new Error('Plaintext kept');
+    console.log('✓', segmentSize ? 'Segmented' : 'Single-message', 'payload:', result.fn, result.size, 'bytes');
+  }
+
+  // Test 2: Too few passcodes fail without an error
+  console.log('\nTest 2: Rehearse without a quorum...');
+  const json = encrypt(65536);
+  keybearer.setCipherJSON(json);
+  const short = await keybearer.rehearse(['alpha', 'wrong']);
+  if (short.success || short.error || short.size !== undefined) throw new Error('Drill passed without a quorum');
+  console.log('✓ Reported as failed');
+
+  // Test 3: A damaged payload fails the drill
+  console.log('\nTest 3: Rehearse with a damaged payload...');
+  const damaged = JSON.parse(json);
+  const ct = atob(damaged.ct).split('');
+  ct[100] = String.fromCharCode(ct[100].charCodeAt(0) ^ 1);
+  damaged.ct = btoa(ct.join(''));
+  keybearer.setCipherJSON(JSON.stringify(damaged));
+  const broken = await keybearer.rehearse(passwords);
+  if (broken.success || !broken.error || !master.every((b) => b === 0)) {
+    throw new Error('Damaged payload passed the drill');
+  }
+  console.log('✓ Failed with', broken.error.message);
+
+  // Test 4: Nothing decrypted is left behind: not the inner header, padding or compressed bytes
+  console.log('\nTest 4: Decrypted buffers zeroed...');
+  let buffer = null;
+  const decryptCiphertext = keybearer.decryptCiphertext;
+  keybearer.decryptCiphertext = function() {
+    decryptCiphertext.apply(keybearer, arguments);
+    buffer = new Uint8Array(keybearer._plaintext.buffer);
+  };
+  try {
+    keybearer.setPadding('padme');
+    for (const format of ['none', 'gzip']) {
+      keybearer.setCompression(format);
+      keybearer.setCipherJSON(encrypt(0));
+      const result = await keybearer.rehearse(passwords);
+      if (!result.success || result.size !== content.length) throw new Error('Drill failed');
+      if (buffer.length <= content.length) throw new Error('Buffer does not hold the inner header');
+      if (!buffer.every((b) => b === 0) || keybearer._plaintext !== null) {
+        throw new Error('Decrypted bytes left with ' + format + ' compression');
+      }
+      console.log('✓', buffer.length, 'byte buffer zeroed, compression', format);
+    }
+  } finally {
+    keybearer.decryptCiphertext = decryptCiphertext;
+    keybearer.setPadding('none');
+    keybearer.setCompression('none');
+  }
+
+  keybearer.setEncryptMetadata(false);
+  console.log('\n✅ All rehearsal tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,84 @@
+/**
+ * Node.js test for changing keyholders without re-encrypting the payload
+ */
+
+import keybearer from '../src/kb.js';
+
+console.log('=== Keybearer Rekey Test ===\n');
+
+function decryptWith(json, passwords) {
+  keybearer.setCipherJSON(json);
+  if (!keybearer.decryptKeysWithPasscodes(passwords).success) return null;
+  keybearer.decryptCiphertext();
+  return new TextDecoder().decode(keybearer.getPlaintext());
+}
+
+try {
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.setPlaintext(new TextEncoder().encode('Same payload'), 'r.txt', 'text/plain');
+
+  for (const scheme of ['shamir', 'combinations']) {
+    console.log('Scheme:', scheme);
+    keybearer.key_scheme = scheme;
+    keybearer.makeSalt();
+    const before = JSON.parse(keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2));
+
+    // Test 1: Replace the holders with a quorum of the old ones
+    keybearer.setCipherJSON(JSON.stringify(before));
+    const result = keybearer.rekey(['alpha', '', 'gamma'], ['alpha', 'delta', 'epsilon', 'zeta'], 3);
+    if (!result.success) throw new Error('Rekey did not unlock with a quorum');
+    const after = JSON.parse(keybearer.getCipherJSON());
+    for (const field of ['ct', 'iv', 'pc', 'v', 'mode', 'fn']) {
+      if (after[field] !== before[field]) throw new Error('Rekey changed ' + field);
+    }
+    if (after.salt === before.salt || after.nkeys !== 4 || after.nunlock !== 3) {
+      throw new Error('Rekey did not rebuild the slot fields');
+    }
+    console.log('✓ Payload unchanged,', after.keys.length, 'new slots,', after.nunlock, 'to unlock');
+
+    // Test 2: Only the new holders can unlock
+    const json = JSON.stringify(after);
+    if (decryptWith(json, ['delta', 'zeta', 'epsilon']) !== 'Same payload') {
+      throw new Error('New holders could not decrypt');
+    }
+    if (decryptWith(json, ['alpha', 'beta', 'gamma']) !== null) {
+      throw new Error('Revoked holders could still decrypt');
+    }
+    console.log('✓ New holders decrypt, revoked holders do not');
+
+    // Test 3: A failed unlock leaves the container alone
+    keybearer.setCipherJSON(json);
+    if (keybearer.rekey(['alpha', 'beta'], ['x', 'y'], 1).success) {
+      throw new Error('Rekey succeeded with revoked passcodes');
+    }
+    if (keybearer.getCipherJSON() !== json) throw new Error('Failed rekey changed the container');
+    console.log('✓ Wrong passcodes leave the container unchanged');
+  }
+  keybearer.key_scheme = 'shamir';
+
+  // Test 4: Binary containers are written back with the same payload bytes
+  console.log('\nTest 4: Rekey a binary container...');
+  keybearer.makeSalt();
+  keybearer.encryptWithPasswords(['alpha', 'beta', 'gamma'], 2);
+  const binary = keybearer.getCipherBinary();
+  keybearer.setCipherBinary(binary);
+  keybearer.rekey(['beta', 'gamma'], ['omega', 'psi'], 2);
+  const rekeyed = new Uint8Array(await (await keybearer.getCipherBlob()).arrayBuffer());
+  const ctLength = keybearer._cipherobj.ct.length;
+  const tail = (bytes) => bytes.subarray(bytes.length - ctLength).join();
+  if (tail(rekeyed) !== tail(binary) || rekeyed[4] !== binary[4]) {
+    throw new Error('Binary payload changed');
+  }
+  keybearer.setCipherData(rekeyed);
+  if (!keybearer.decryptKeysWithPasscodes(['psi', 'omega']).success) {
+    throw new Error('Rekeyed binary container did not unlock');
+  }
+  console.log('✓ Binary container rekeyed in place');
+
+  console.log('\n✅ All rekey tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
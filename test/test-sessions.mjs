@@ -0,0 +1,77 @@
+/**
+ * Node.js test for independent Keybearer sessions
+ */
+
+import keybearer, { createKeybearer } from '../src/kb.js';
+
+console.log('=== Keybearer Sessions Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+try {
+  // Test 1: Sessions keep their own settings and state
+  console.log('Test 1: Separate state...');
+  const a = createKeybearer({ pbkdf2_iterations: 1000 });
+  const b = keybearer.createKeybearer({ pbkdf2_iterations: 2000, key_scheme: 'combinations' });
+  if (a.pbkdf2_iterations !== 1000 || b.pbkdf2_iterations !== 2000 || keybearer.pbkdf2_iterations !== 50000) {
+    throw new Error('Settings leaked between sessions');
+  }
+  a.makeSalt();
+  b.makeSalt();
+  if (same(a._salt, b._salt) || keybearer._salt !== null) throw new Error('Salts shared');
+  a.setPadding('pow2');
+  if (b.padding !== 'none' || keybearer.padding !== 'none') throw new Error('Setter changed another session');
+  console.log('✓ Settings, salts and setters are per session');
+
+  // Test 2: Interleaved streaming encryptions do not overwrite each other
+  console.log('\nTest 2: Interleaved encryptions...');
+  const dataA = new Uint8Array(200000).map((_, i) => i % 253);
+  const dataB = new TextEncoder().encode('second file '.repeat(10000));
+  a.setPlaintextBlob(new Blob([dataA]), 'a.bin', 'application/octet-stream');
+  b.setPlaintextBlob(new Blob([dataB]), 'b.txt', 'text/plain');
+  const [blobA, blobB] = await Promise.all([
+    a.encryptWithPasswordsStream(['a1', 'a2', 'a3'], 2),
+    b.encryptWithPasswordsStream(['b1', 'b2'], 2)
+  ]);
+  console.log('✓ Encrypted', blobA.size, 'and', blobB.size, 'bytes at once');
+
+  // Test 3: Each container opens with its own passcodes, decrypted side by side
+  console.log('\nTest 3: Interleaved decryptions...');
+  const c = createKeybearer();
+  const d = createKeybearer();
+  await Promise.all([c.setCipherBlob(blobA), d.setCipherBlob(blobB)]);
+  if (!c.decryptKeysWithPasscodes(['a3', 'a1']).success) throw new Error('Session c failed');
+  if (!d.decryptKeysWithPasscodes(['b2', 'b1']).success) throw new Error('Session d failed');
+  const [outA, outB] = await Promise.all([c.decryptToBlob(), d.decryptToBlob()]);
+  if (!same(new Uint8Array(await outA.arrayBuffer()), dataA) || outA.type !== 'application/octet-stream') {
+    throw new Error('Session c payload mismatch');
+  }
+  if (!same(new Uint8Array(await outB.arrayBuffer()), dataB) || d.getFileName() !== 'b.txt') {
+    throw new Error('Session d payload mismatch');
+  }
+  if (c.decryptKeysWithPasscodes(['b1', 'b2']).success) throw new Error('Passcodes crossed sessions');
+  console.log('✓ Both payloads intact');
+
+  // Test 4: Settings cannot replace methods or private state
+  console.log('\nTest 4: Only public settings...');
+  for (const forged of [{ decryptKeys: () => true }, { _master: new Uint8Array(32) }, { _salt: new Uint8Array(16) },
+    { pbkdf2_iterations: 1000, wipeKeys: () => {} }, { nosuchsetting: 1 }]) {
+    const name = Object.keys(forged).pop();
+    try {
+      createKeybearer(forged);
+      throw new Error(name + ' was accepted');
+    } catch (err) {
+      if (err.message !== 'Unknown setting: ' + name) throw err;
+    }
+  }
+  const e = createKeybearer({ kdf: 'argon2id', padding: 'padme', aes_cipher_mode: 'gcm' });
+  if (e.kdf !== 'argon2id' || e.padding !== 'padme' || e._master !== null) throw new Error('Settings not applied');
+  console.log('✓ Methods and private state rejected, settings applied');
+
+  console.log('\n✅ All session tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,100 @@
+/**
+ * Node.js test for Keybearer v3 Shamir secret sharing
+ */
+
+import * as shamir from '../src/kb-shamir.js';
+import * as noble from '../src/kb-noble.js';
+import keybearer from '../src/kb.js';
+
+console.log('=== Keybearer v3 Shamir Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+try {
+  // Test 1: Split and recombine with every k-subset of shares
+  console.log('Test 1: Split 32-byte secret into 3-of-5 shares...');
+  const secret = noble.getRandomBytes(32);
+  const shares = shamir.splitSecret(secret, 3, 5);
+  console.log('✓ Generated', shares.length, 'shares of', shares[0].length, 'bytes');
+
+  for (let a = 0; a < 5; a++) {
+    for (let b = a + 1; b < 5; b++) {
+      for (let c = b + 1; c < 5; c++) {
+        if (!same(shamir.combineShares([shares[a], shares[b], shares[c]]), secret)) {
+          throw new Error('Shares ' + [a, b, c] + ' did not recover the secret');
+        }
+      }
+    }
+  }
+  console.log('✓ All 10 subsets of 3 shares recover the secret');
+
+  // Test 2: Too few shares give unrelated bytes
+  console.log('\nTest 2: Combine below threshold...');
+  if (same(shamir.combineShares([shares[0], shares[1]]), secret)) {
+    throw new Error('Two shares recovered a 3-of-5 secret');
+  }
+  console.log('✓ Two shares do not recover the secret');
+
+  // Test 3: v3 round trip through keybearer
+  console.log('\nTest 3: v3 encryption with 3-of-6 holders...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new TextEncoder().encode('Shamir says hi'), 'test.txt', 'text/plain');
+  const passwords = ['alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta'];
+  const encObj = JSON.parse(keybearer.encryptWithPasswords(passwords.slice(), 3));
+  console.log('✓ Version:', encObj.v, 'Key slots:', encObj.keys.length);
+  if (encObj.v !== 3 || encObj.keys.length !== 6) {
+    throw new Error('Expected a v3 container with one slot per holder');
+  }
+
+  keybearer.setCipherJSON(JSON.stringify(encObj));
+  keybearer.makeKeyCombinations(['zeta', 'beta', 'delta'], 3);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to recover master key');
+  keybearer.decryptCiphertext();
+  console.log('✓ Decrypted:', new TextDecoder().decode(keybearer.getPlaintext()));
+
+  keybearer.setCipherJSON(JSON.stringify(encObj));
+  keybearer.makeKeyCombinations(['zeta', 'beta', 'wrong'], 3);
+  if (keybearer.decryptKeys()) throw new Error('Recovered master key with a wrong passcode');
+  console.log('✓ Two valid passcodes and one wrong one are rejected');
+
+  // Test 4: v2 n choose k containers still work
+  console.log('\nTest 4: v2 combinations mode...');
+  keybearer.key_scheme = 'combinations';
+  keybearer.makeSalt();
+  const v2 = keybearer.encryptWithPasswords(passwords.slice(0, 3), 2);
+  keybearer.key_scheme = 'shamir';
+  keybearer.setCipherJSON(v2);
+  keybearer.makeKeyCombinations(['gamma', 'alpha'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to decrypt v2 container');
+  keybearer.decryptCiphertext();
+  console.log('✓ v2 decrypted:', new TextDecoder().decode(keybearer.getPlaintext()));
+
+  // Test 5: Loading a file leaves the encryption settings alone
+  console.log('\nTest 5: Encrypt after loading a v2 file...');
+  if (keybearer.key_scheme !== 'shamir' || keybearer.pbkdf2_iterations !== 1000) {
+    throw new Error('Loading the v2 file changed the settings');
+  }
+  keybearer.setPBKDF2Iterations(2000);
+  const after = JSON.parse(keybearer.encryptWithPasswords(passwords.slice(0, 4), 2));
+  if (after.v !== 3 || after.keys.length !== 4 || after.iter !== 2000 || after.kdf.c !== 2000) {
+    throw new Error('Expected v3 with 4 slots at 2000 iterations, got v' + after.v + ' with ' +
+      after.keys.length + ' slots at ' + after.iter);
+  }
+  console.log('✓ Next container is v3 with', after.keys.length, 'slots at', after.iter, 'iterations');
+
+  keybearer.setCipherJSON(v2);
+  if (!keybearer.rekey(['alpha', 'beta'], ['one', 'two', 'three', 'four'], 2).success) throw new Error('Rekey failed');
+  const rekeyed = keybearer.getCipherJSONObject();
+  if (rekeyed.v !== 2 || rekeyed.keys.length !== 6) throw new Error('Rekeyed v2 file is not n choose k');
+  keybearer.setCipherJSON(keybearer.getCipherJSON());
+  if (!keybearer.decryptKeysWithPasscodes(['four', 'two']).success) throw new Error('Rekeyed v2 file does not open');
+  console.log('✓ Rekeyed v2 file keeps its scheme:', rekeyed.keys.length, 'slots for 2 of 4');
+
+  console.log('\n✅ All Shamir tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,117 @@
+/**
+ * Node.js test for segmented (streaming) payload encryption
+ */
+
+import keybearer from '../src/kb.js';
+import * as noble from '../src/kb-noble.js';
+import * as stream from '../src/kb-stream.js';
+
+console.log('=== Keybearer Streaming Test ===\n');
+
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+async function collect(readable) {
+  return new Uint8Array(await new Response(readable).arrayBuffer());
+}
+
+async function expectFailure(promise, label) {
+  try {
+    await promise;
+  } catch (err) {
+    console.log('✓', label, 'rejected:', err.message);
+    return;
+  }
+  throw new Error(label + ' was not detected');
+}
+
+try {
+  const mode = 'chacha20poly1305';
+  const key = noble.getRandomBytes(32);
+  const prefix = stream.makeNoncePrefix('chacha20poly1305');
+  const aad = new TextEncoder().encode('header');
+  const segmentSize = 1000;
+
+  // Test 1: Stream round trip for awkward sizes
+  console.log('Test 1: Round trip through encrypt/decrypt transforms...');
+  for (const size of [0, 1, 999, 1000, 1001, 5000, 12345]) {
+    const plaintext = noble.getRandomBytes(size);
+    const ct = await collect(stream.toByteStream(plaintext)
+      .pipeThrough(stream.encryptTransform(mode, key, prefix, aad, segmentSize)));
+    const inMemory = stream.encryptSegmented(mode, key, plaintext, prefix, aad, segmentSize);
+    if (!same(ct, inMemory)) throw new Error('Stream and in-memory output differ at ' + size);
+    const pt = await collect(stream.toByteStream(ct)
+      .pipeThrough(stream.decryptTransform(mode, key, prefix, aad, segmentSize)));
+    if (!same(pt, plaintext)) throw new Error('Round trip failed at ' + size);
+  }
+  console.log('✓ Sizes 0 to 12345 bytes round trip, matching in-memory output');
+
+  // Test 2: Truncation and reordering are detected
+  console.log('\nTest 2: Tamper with segments...');
+  const plaintext = noble.getRandomBytes(3500);
+  const ct = stream.encryptSegmented(mode, key, plaintext, prefix, aad, segmentSize);
+  const sealed = segmentSize + stream.TAG_LENGTH;
+  const decrypt = bytes => collect(stream.toByteStream(bytes)
+    .pipeThrough(stream.decryptTransform(mode, key, prefix, aad, segmentSize)));
+
+  await expectFailure(decrypt(ct.slice(0, 3 * sealed)), 'Dropped final segment');
+  await expectFailure(decrypt(ct.slice(0, ct.length - 5)), 'Truncated final segment');
+  const swapped = ct.slice();
+  swapped.set(ct.subarray(sealed, 2 * sealed), 0);
+  swapped.set(ct.subarray(0, sealed), sealed);
+  await expectFailure(decrypt(swapped), 'Reordered segments');
+  await expectFailure(Promise.resolve().then(function() {
+    stream.decryptSegmented(mode, key, ct.slice(0, 3 * sealed), prefix, aad, segmentSize);
+  }), 'In-memory dropped final segment');
+
+  // Test 3: Container from a Blob with progress, decrypted in memory and as a stream
+  console.log('\nTest 3: Stream-encrypt a Blob into a .kbr.json container...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.segment_size = 4096;
+  keybearer.makeSalt();
+  const fileBytes = noble.getRandomBytes(50000);
+  keybearer.setPlaintextBlob(new Blob([fileBytes]), 'disk.img', 'application/octet-stream');
+  const progress = [];
+  const blob = await keybearer.encryptWithPasswordsStream(['alpha', 'beta', 'gamma'], 2,
+    function(fraction, stage) {
+      if (stage === 'encrypt') progress.push(fraction);
+    });
+  console.log('✓ Container:', blob.size, 'bytes,', progress.length, 'segment progress reports');
+  if (progress.length !== Math.ceil(50000 / 4096) || progress[progress.length - 1] !== 1) {
+    throw new Error('Unexpected progress reports: ' + progress);
+  }
+
+  keybearer.setCipherJSON(await blob.text());
+  keybearer.makeKeyCombinations(['beta', 'gamma'], 2);
+  if (!keybearer.decryptKeys()) throw new Error('Failed to recover master key');
+  keybearer.decryptCiphertext();
+  if (!same(keybearer.getPlaintext(), fileBytes)) throw new Error('In-memory decryption mismatch');
+  console.log('✓ Decrypted in memory');
+
+  const streamed = await collect(keybearer.decryptCiphertextStream());
+  if (!same(streamed, fileBytes)) throw new Error('Streaming decryption mismatch');
+  console.log('✓ Decrypted as a stream');
+
+  // Test 4: streamToBlob() folds its chunks into Blobs as it goes, in order
+  console.log('\nTest 4: Collect a long stream into a Blob...');
+  const chunks = Array.from({ length: 1000 }, (_, i) => new Uint8Array(100).fill(i % 251));
+  const folded = await stream.streamToBlob(new ReadableStream({
+    pull: function(controller) {
+      const chunk = chunks.shift();
+      if (chunk) controller.enqueue(chunk.slice());
+      else controller.close();
+    }
+  }), 'text/plain');
+  const collected = new Uint8Array(await folded.arrayBuffer());
+  if (folded.type !== 'text/plain' || collected.length !== 100000 ||
+      !collected.every((b, i) => b === Math.floor(i / 100) % 251)) {
+    throw new Error('Collected Blob mismatch');
+  }
+  console.log('✓ 1000 chunks,', folded.size, 'bytes in order');
+
+  console.log('\n✅ All streaming tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,124 @@
+/**
+ * Node.js test for tiered containers (different payloads at different thresholds)
+ */
+
+import keybearer from '../src/kb.js';
+
+console.log('=== Keybearer Tiers Test ===\n');
+
+const encode = (s) => new TextEncoder().encode(s);
+const decode = async (blob) => new TextDecoder().decode(await blob.arrayBuffer());
+
+const passwords = ['alpha', 'bravo', 'charlie', 'delta', 'echo'];
+const tiers = [
+  { nunlock: 1, data: encode('Farewell, and thanks for all the fish.'), fn: 'letter.txt', ft: 'text/plain' },
+  { nunlock: 3, data: encode('The bank is on Main Street.'), fn: 'accounts.txt', ft: 'text/plain' },
+  { nunlock: 5, data: encode('Everything else.'), fn: 'vault.txt', ft: 'text/plain' }
+];
+
+function unlockedNames(results) {
+  return results.filter((r) => r.unlocked).map((r) => r.fn).join(',');
+}
+
+try {
+  // Test 1: Each number of passcodes reveals the tiers it qualifies for
+  console.log('Test 1: Encrypt and decrypt tiers...');
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  const json = keybearer.encryptTiers(passwords.slice(), tiers);
+  const parsed = JSON.parse(json);
+  if (parsed.tn !== 3 || parsed.ti !== 0 || parsed.tiers.length !== 2 || parsed.tiers[1].nunlock !== 5) {
+    throw new Error('Unexpected tier layout');
+  }
+
+  keybearer.setCipherJSON(json);
+  if (keybearer.getMinPasscodes() !== 1) throw new Error('Lowest tier not reported');
+  const cases = [
+    [['bravo'], 'letter.txt'],
+    [['alpha', 'charlie', 'echo'], 'letter.txt,accounts.txt'],
+    [['alpha', 'wrong', 'charlie', 'delta'], 'letter.txt,accounts.txt'],
+    [passwords, 'letter.txt,accounts.txt,vault.txt'],
+    [['wrong'], '']
+  ];
+  for (const [entered, expected] of cases) {
+    const results = await keybearer.decryptTiers(entered);
+    if (unlockedNames(results) !== expected) {
+      throw new Error(entered.length + ' passcodes unlocked ' + unlockedNames(results) + ', expected ' + expected);
+    }
+    console.log('✓', entered.length, 'passcodes:', expected || 'nothing');
+  }
+  const all = await keybearer.decryptTiers(passwords);
+  if (await decode(all[2].blob) !== 'Everything else.' || all[2].ft !== 'text/plain') {
+    throw new Error('Wrong vault contents');
+  }
+  if (keybearer._cipherobj.ti !== 0) throw new Error('Outer tier not restored');
+  console.log('✓ Tier contents match');
+
+  // Test 2: Binary containers carry the tiers in their header
+  console.log('\nTest 2: Binary container...');
+  await keybearer.setCipherBlob(new Blob([keybearer.jsonToBinary(json)]));
+  const fromBinary = await keybearer.decryptTiers(['alpha', 'bravo', 'charlie']);
+  if (unlockedNames(fromBinary) !== 'letter.txt,accounts.txt') throw new Error('Binary tiers failed');
+  console.log('✓ Tiers survive conversion to .kbr');
+
+  // Test 3: Dropping or swapping tiers is detected
+  console.log('\nTest 3: Tamper with the tiers...');
+  const dropped = JSON.parse(json);
+  dropped.tiers.pop();
+  const swapped = JSON.parse(json);
+  swapped.tiers.reverse();
+  for (const forged of [dropped, swapped]) {
+    try {
+      keybearer.setCipherJSON(JSON.stringify(forged));
+      throw new Error('Forged tiers were accepted');
+    } catch (err) {
+      if (err.name !== 'HeaderAuthError') throw err;
+    }
+  }
+  console.log('✓ Rejected with HeaderAuthError');
+
+  keybearer.setCipherJSON(json);
+  try {
+    keybearer.rekey(passwords, ['a', 'b'], 1);
+    throw new Error('Tiered container was rekeyed');
+  } catch (err) {
+    if (!err.message.startsWith('Tiered containers cannot be rekeyed')) throw err;
+  }
+  console.log('✓ Rekey refused');
+
+  // Test 4: Master keys are zeroed tier by tier, derived keys once all tiers are done
+  console.log('\nTest 4: Key wiping...');
+  const masters = [];
+  const decryptToBlob = keybearer.decryptToBlob;
+  keybearer.decryptToBlob = function() {
+    if (masters.some((m) => m.some((b) => b !== 0))) throw new Error('Previous tier master key not zeroed');
+    masters.push(keybearer._master);
+    return decryptToBlob.apply(keybearer, arguments);
+  };
+  const derived = [];
+  const makeKeyFromPassword = keybearer.makeKeyFromPassword;
+  keybearer.makeKeyFromPassword = function() {
+    const key = makeKeyFromPassword.apply(keybearer, arguments);
+    derived.push(key);
+    return key;
+  };
+  try {
+    if (unlockedNames(await keybearer.decryptTiers(passwords)) !== 'letter.txt,accounts.txt,vault.txt') {
+      throw new Error('Tiers did not open');
+    }
+  } finally {
+    keybearer.decryptToBlob = decryptToBlob;
+    keybearer.makeKeyFromPassword = makeKeyFromPassword;
+  }
+  if (masters.length !== 3 || masters.some((m) => m.some((b) => b !== 0))) throw new Error('Master keys left');
+  if (derived.length !== 5 || derived.some((k) => k.some((b) => b !== 0))) throw new Error('Derived keys left');
+  if (keybearer._master !== null || keybearer._keys.length !== 0) throw new Error('Keys still on the session');
+  console.log('✓', masters.length, 'master keys and', derived.length, 'derived keys zeroed');
+
+  console.log('\n✅ All tier tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,89 @@
+/**
+ * Node.js test for single-holder passcode checks
+ */
+
+import keybearer from '../src/kb.js';
+
+console.log('=== Keybearer Passcode Check Test ===\n');
+
+const passwords = ['alpha', 'bravo', 'charlie'];
+
+function encrypt(scheme, nUnlock) {
+  keybearer.key_scheme = scheme;
+  keybearer.makeSalt();
+  keybearer.setPlaintext(new TextEncoder().encode('secret'), 'f.txt', 'text/plain');
+  return keybearer.encryptWithPasswords(passwords.slice(), nUnlock);
+}
+
+function checkAll(json) {
+  for (const p of passwords) {
+    if (!keybearer.verifyPasscode(json, p)) throw new Error(p + ' not recognized');
+  }
+  for (const p of ['alpha ', ' Bravo', 'delta', 'charly', 'alpha bravo']) {
+    if (keybearer.verifyPasscode(json, p) !== (p === 'alpha ')) throw new Error('"' + p + '" misjudged');
+  }
+}
+
+try {
+  keybearer.setPBKDF2Iterations(1000);
+
+  // Test 1: v2 files with verifiers
+  console.log('Test 1: v2 combinations with verifiers...');
+  keybearer.passcode_verifiers = true;
+  const v2 = encrypt('combinations', 2);
+  const pv = JSON.parse(v2).pv;
+  if (!pv || pv.length !== 3 || pv.some((v) => atob(v).length !== 2)) throw new Error('Expected three 2-byte verifiers');
+  checkAll(v2);
+  checkAll(keybearer.jsonToBinary(v2));
+  console.log('✓ Every holder recognized, from JSON and from .kbr bytes');
+
+  // Test 2: Files whose slots check single passcodes store no verifiers
+  console.log('\nTest 2: v3 and 1-of-n files...');
+  for (const [scheme, nUnlock] of [['shamir', 2], ['combinations', 1]]) {
+    const json = encrypt(scheme, nUnlock);
+    if (JSON.parse(json).pv !== undefined) throw new Error('Unneeded verifiers stored');
+    checkAll(json);
+    keybearer.setCipherJSON(json);
+    if (!keybearer.verifyPasscode(null, 'bravo')) throw new Error('Loaded container not checked');
+    console.log('✓', scheme, nUnlock, 'of 3 checked by key slot');
+  }
+
+  // Test 3: Without verifiers v2 files cannot check one passcode
+  console.log('\nTest 3: v2 without verifiers...');
+  keybearer.passcode_verifiers = false;
+  const plain = encrypt('combinations', 2);
+  try {
+    keybearer.verifyPasscode(plain, 'alpha');
+    throw new Error('Checked a passcode without verifiers');
+  } catch (err) {
+    if (err.message !== 'This container has no passcode verifiers') throw err;
+  }
+  console.log('✓ Refused');
+
+  // Test 4: Verifiers are authenticated and survive a rekey
+  console.log('\nTest 4: Tamper and rekey...');
+  const forged = JSON.parse(v2);
+  forged.pv = forged.pv.slice(1);
+  try {
+    keybearer.verifyPasscode(JSON.stringify(forged), 'alpha');
+    throw new Error('Edited verifiers were accepted');
+  } catch (err) {
+    if (err.name !== 'HeaderAuthError') throw err;
+  }
+  keybearer.setCipherJSON(v2);
+  const result = keybearer.rekey(['alpha', 'charlie'], ['delta', 'echo', 'foxtrot'], 2);
+  if (!result.success) throw new Error('Rekey failed');
+  const rekeyed = keybearer.getCipherJSON();
+  if (JSON.parse(rekeyed).pv.length !== 3 || !keybearer.verifyPasscode(rekeyed, 'echo') ||
+      keybearer.verifyPasscode(rekeyed, 'alpha')) {
+    throw new Error('Verifiers not rebuilt for the new holders');
+  }
+  console.log('✓ Edits rejected with HeaderAuthError; rekey rebuilds verifiers');
+
+  console.log('\n✅ All passcode check tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
@@ -0,0 +1,87 @@
+/**
+ * Node.js test for the WebCrypto PBKDF2 path and its pure-JS fallback
+ */
+
+import { createKeybearer } from '../src/kb.js';
+import * as noble from '../src/kb-noble.js';
+
+console.log('=== Keybearer WebCrypto PBKDF2 Test ===\n');
+
+const hex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+const enc = (s) => new TextEncoder().encode(s);
+
+try {
+  // Test 1: Both paths match the RFC 7914 PBKDF2-HMAC-SHA256 test vectors
+  console.log('Test 1: RFC 7914 test vectors...');
+  const vectors = [
+    ['passwd', 'salt', 1, '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc' +
+      '49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783'],
+    ['Password', 'NaCl', 80000, '4ddcd8f60b98be21830cee5ef22701f9641a4418d04c0414aeff08876b34ab56' +
+      'a1d425a1225833549adb841b51c9b3176a272bdebba1d078478f62b397f33c8d']
+  ];
+  for (const [password, salt, c, expected] of vectors) {
+    const native = await noble.deriveKeyFromPasswordAsync(password, enc(salt), c, 64);
+    const pure = noble.deriveKeyFromPassword(password, enc(salt), c, 64);
+    if (hex(native) !== expected || hex(pure) !== expected) throw new Error('Vector mismatch for ' + password);
+  }
+  console.log('✓ WebCrypto and pure JS match both vectors');
+
+  // Test 2: v1 key derivation (SJCL's PBKDF2-HMAC-SHA256 over the stored salt, 256-bit keys)
+  console.log('\nTest 2: v1 parameters...');
+  const v1Salt = noble.decodeBase64('Ck7zh0vtL2U=');
+  for (const password of ['password1 password3 password5', 'password2 password4 password5']) {
+    const native = await noble.deriveKeyFromPasswordAsync(password, v1Salt, 2000, 32);
+    if (hex(native) !== hex(noble.deriveKeyFromPassword(password, v1Salt, 2000, 32))) {
+      throw new Error('v1 keys differ');
+    }
+  }
+  console.log('✓ Identical keys for v1 salts and iteration counts (test-suite.html checks against SJCL itself)');
+
+  // Test 3: v2 and v3 containers: keys derived on load match those they were encrypted with
+  console.log('\nTest 3: v2 and v3 containers...');
+  const passwords = ['alpha', 'bravo', 'charlie'];
+  for (const scheme of ['combinations', 'shamir']) {
+    const writer = createKeybearer({ key_scheme: scheme });
+    writer.setPBKDF2Iterations(3000);
+    writer.makeSalt();
+    writer.setPlaintext(enc('secret'), 'f.txt', 'text/plain');
+    const json = writer.encryptWithPasswords(passwords.slice(), 2);
+    const secrets = writer.makeCombinedPasswords(passwords.slice(), 2);
+
+    const reader = createKeybearer();
+    reader.setCipherJSON(json);
+    for (let i = 0; i < secrets.length; i++) {
+      const key = await reader.makeKeyFromPasswordAsync(secrets[i]);
+      if (hex(key) !== hex(writer._keys[i]) || hex(key) !== hex(reader.makeKeyFromPassword(secrets[i]))) {
+        throw new Error(scheme + ' key ' + i + ' differs');
+      }
+    }
+    const result = await reader.decryptKeysWithPasscodesAsync(['charlie', 'alpha']);
+    if (!result.success) throw new Error(scheme + ' container did not open');
+    console.log('✓', 'v' + JSON.parse(json).v, secrets.length, 'keys identical, container opens');
+  }
+
+  // Test 4: Without crypto.subtle the pure-JS version takes over
+  console.log('\nTest 4: Fallback...');
+  const salt = noble.getRandomBytes(16);
+  let started = Date.now();
+  const native = await noble.deriveKeyFromPasswordAsync('alpha bravo', salt, 100000);
+  const nativeTime = Date.now() - started;
+  Object.defineProperty(crypto, 'subtle', { value: undefined, configurable: true });
+  try {
+    started = Date.now();
+    const fallback = await noble.deriveKeyFromPasswordAsync('alpha bravo', salt, 100000);
+    if (hex(fallback) !== hex(native)) throw new Error('Fallback key differs');
+    console.log('✓ Same key; 100000 iterations took', nativeTime, 'ms natively,', Date.now() - started, 'ms in pure JS');
+  } finally {
+    delete crypto.subtle;
+  }
+  if (!crypto.subtle) throw new Error('crypto.subtle not restored');
+
+  console.log('\n✅ All WebCrypto PBKDF2 tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}
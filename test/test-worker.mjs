@@ -0,0 +1,121 @@
+/**
+ * Node.js test for the web worker's message protocol
+ *
+ * Loads kb-worker.js with a stand-in for the worker global and drives it with
+ * the messages kbpage-v2.js sends.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+
+const posted = [];
+let waiting = null;
+globalThis.self = {
+  postMessage: function(message, transfer) {
+    posted.push({ message: message, transfer: transfer || [] });
+    if (waiting && message.f === waiting.f && (message.r !== undefined || message.e)) {
+      waiting.resolve(posted[posted.length - 1]);
+    }
+  }
+};
+
+// Workers load SJCL with importScripts(); here it runs in this context
+globalThis.importScripts = function(url) {
+  runInThisContext(readFileSync(url, 'utf8'), { filename: String(url) });
+};
+
+const { default: keybearer } = await import('../src/kb.js');
+await import('../src/kb-worker.js');
+
+function send(f, p, c) {
+  return new Promise(function(resolve) {
+    waiting = { f: f, resolve: resolve };
+    self.onmessage({ data: { f: f, p: p, c: c } });
+  });
+}
+
+console.log('=== Keybearer Worker Test ===\n');
+
+const content = new TextEncoder().encode('Combination: 31-7-22. '.repeat(10000));
+
+// Made by the v1 library (kb.js, SJCL AES-CCM): passwords alpha, bravo, charlie; 2 to unlock
+const V1_FILE = '{"adata":"","iter":1000,"mode":"ccm","cipher":"aes","ts":128,"ks":256,"salt":"3dkrf0Cz38Z+dI5xez/kMA==","iv":"8fJmrBLZjnTkPkDkjgN/Uw==","v":1,"ct":"v5X7tPV9sDqaiulTEW1Rhs81Wk5x0cVItm2Yp0AqUR24ljtZ","fn":"v1.txt","ft":"text/plain","nkeys":3,"nunlock":2,"keys":[{"iv":"rLU9o5mfFwBvtg+XizBq4w==","key":"UmBN5bS+BrEd9Gn+0PYi5ZDbB7+cz4wZyKGOKClxrHFgcaexFxkn00rkb3grmbmI"},{"iv":"812S6Ca1kfUXfzmOLHXlJQ==","key":"Asj5RwQzVoQg4SP7TFqlEFUfSjOq3LO6KaOmwEuzYm49o4y8WUDPL4muO+kdyTNq"},{"iv":"am7sYrmjk0w0xHR3O0fHVQ==","key":"CnmkN2Z4SlsrvKcxiPz1F5lnBPpzho66rC44fkm/UxyJ7h4pLOnmrL9KEu5m21yl"}]}';
+const sjclURL = new URL('../sjcl/sjcl.js', import.meta.url);
+
+try {
+  keybearer.setPBKDF2Iterations(1000);
+  keybearer.makeSalt();
+  keybearer.setPlaintext(content, 'safe.txt', 'text/plain');
+  const json = keybearer.encryptWithPasswords(['alpha', 'bravo', 'charlie'], 2);
+  const file = new Blob([json]);
+
+  // Test 1: The whole decryption runs in the worker, with progress, and posts the plaintext Blob
+  console.log('Test 1: Decrypt in the worker...');
+  const salt = keybearer._salt;
+  posted.length = 0;
+  const reply = await send('decryptFile', [file, ['charlie', '', 'alpha']], true);
+  const result = reply.message.r;
+  const out = new Uint8Array(await result.blob.arrayBuffer());
+  if (!result.success || result.fn !== 'safe.txt' || out.length !== content.length ||
+      !out.every((b, i) => b === content[i])) {
+    throw new Error('Unexpected result: ' + JSON.stringify(result));
+  }
+  if (!(result.blob instanceof Blob) || result.buffer !== undefined) throw new Error('Plaintext not posted as a Blob');
+  const stages = posted.filter((m) => m.message.c !== undefined).map((m) => m.message.s || 'keys');
+  if (!stages.includes('keys') || !stages.includes('decrypt')) throw new Error('Progress not reported: ' + stages);
+  if (keybearer._salt !== salt) throw new Error('Encryption salt replaced');
+  console.log('✓', out.length, 'bytes,', stages.length, 'progress messages, posted as a Blob');
+
+  // Test 2: Wrong passcodes come back as a failure message
+  console.log('\nTest 2: Wrong passcodes...');
+  const failed = (await send('decryptFile', [file, ['alpha', 'delta']], true)).message;
+  if (failed.r !== undefined || failed.e.name !== 'PasscodeError' || failed.e.result.rejected.join() !== '1') {
+    throw new Error('Unexpected reply: ' + JSON.stringify(failed));
+  }
+  console.log('✓', failed.e.name + ':', failed.e.message);
+
+  const broken = (await send('decryptFile', [new Blob(['not a container']), ['alpha', 'bravo']], true)).message;
+  if (!broken.e || broken.e.name !== 'SyntaxError') throw new Error('Unreadable file not reported');
+  console.log('✓ Unreadable file reported as', broken.e.name);
+
+  // Test 3: After a rekey the page posts the rekeyed container, which opens with the new passcodes
+  console.log('\nTest 3: Rekeyed container...');
+  await keybearer.setCipherBlob(file);
+  if (!keybearer.rekey(['alpha', 'bravo'], ['delta', 'echo'], 2).success) throw new Error('Rekey failed');
+  const rekeyed = await keybearer.getCipherBlob();
+  const old = (await send('decryptFile', [rekeyed, ['alpha', 'bravo']], true)).message;
+  if (!old.e || old.e.name !== 'PasscodeError') throw new Error('Old passcodes still open the rekeyed file');
+  const fresh = (await send('decryptFile', [rekeyed, ['echo', 'delta']], true)).message;
+  if (!fresh.r || !fresh.r.success || fresh.r.blob.size !== content.length) {
+    throw new Error('Rekeyed file did not open: ' + JSON.stringify(fresh));
+  }
+  console.log('✓ New passcodes open it in the worker, old ones do not');
+
+  // Test 4: v1 files decrypt in the worker once the page has it load SJCL
+  console.log('\nTest 4: v1 file...');
+  const v1 = new Blob([V1_FILE]);
+  const early = (await send('decryptFile', [v1, ['alpha', 'charlie']], true)).message;
+  if (!early.e || early.e.name !== 'KeybearerError' || !/SJCL/.test(early.e.message)) {
+    throw new Error('Missing SJCL not reported: ' + JSON.stringify(early));
+  }
+  console.log('✓ Without SJCL:', early.e.message);
+  if (existsSync(sjclURL)) {
+    // No reply: the page posts it from setupWorker() and moves on
+    self.onmessage({ data: { f: 'useLegacy', p: [sjclURL] } });
+    const legacyReply = (await send('decryptFile', [v1, ['charlie', '', 'alpha']], true)).message;
+    const r = legacyReply.r;
+    if (!r || !r.success || r.fn !== 'v1.txt' || await r.blob.text() !== 'Hello from a v1 file') {
+      throw new Error('v1 file did not open: ' + JSON.stringify(legacyReply));
+    }
+    console.log('✓ Decrypted', r.fn, 'with SJCL loaded in the worker');
+  } else {
+    console.log('- sjcl submodule not checked out, skipping v1 decryption');
+  }
+
+  console.log('\n✅ All worker tests passed!');
+
+} catch (err) {
+  console.error('\n✗ ERROR:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+}